@@ -1,10 +1,100 @@
-const DATA_URL = './data/latest.json';
+// Highest latest.json schemaVersion this page understands; see latest.schema.json.
+const PAYLOAD_SCHEMA_VERSION = 3;
+const LEAGUES_URL = './data/leagues.json';
+// Used when leagues.json is missing; the NBA files keep their original paths.
+const DEFAULT_LEAGUE = {
+  id: 'nba',
+  name: 'NBA',
+  data: 'data/latest.json',
+  history: 'data/history/index.json',
+  seasons: 'data/seasons/index.json',
+  calendar: 'calendar/tank-games.ics',
+  feed: 'feed.xml',
+};
+const LEAGUE_STORAGE_KEY = 'race2tank:league';
+// The year-over-year panel compares this many of the worst teams against this many past seasons.
+const COMPARISON_SLOTS = 5;
+const COMPARISON_SEASON_LIMIT = 4;
+// Payloads from before leagues were added describe the NBA with these counts.
 const NOTABLE_TEAM_COUNT = 9;
+const TRACKED_TEAM_COUNT = 14;
+const LOTTERY_DRAW_COUNT = 4;
+const PLAY_IN_SEEDS = 4;
+// NBA seasons are named by the year they end, and an August build starts the next one.
+const SEASON_START_MONTH = 8;
+const FAVORITE_STORAGE_KEY = 'race2tank:favoriteTeam';
+const TIME_ZONE_STORAGE_KEY = 'race2tank:timeZone';
+const TIME_ZONE_CHOICES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'Europe/London',
+  'Europe/Paris',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'UTC',
+];
+const SCHEDULE_DAY_COUNT = 3;
+// A team card names this many players from its likely pick range before trailing off.
+const CARD_PROSPECT_LIMIT = 3;
+const DEFAULT_TITLE = document.title;
 
 const statusEl = document.getElementById('status');
 const desktopBodyEl = document.getElementById('desktop-body');
 const mobileCardsEl = document.getElementById('mobile-cards');
 const todayListEl = document.getElementById('today-list');
+const lastNightEl = document.getElementById('last-night');
+const favoriteSelectEl = document.getElementById('favorite-team');
+const timeZoneSelectEl = document.getElementById('time-zone');
+const calendarLinkEl = document.getElementById('calendar-link');
+const h2hPanelEl = document.getElementById('h2h-panel');
+const h2hMatrixEl = document.getElementById('h2h-matrix');
+const h2hDetailEl = document.getElementById('h2h-detail');
+const seasonPanelEl = document.getElementById('season-panel');
+const seasonMonthEl = document.getElementById('season-month');
+const seasonPrevEl = document.getElementById('season-prev');
+const seasonNextEl = document.getElementById('season-next');
+const seasonJumpEl = document.getElementById('season-jump');
+const seasonGridEl = document.getElementById('season-grid');
+const seasonDetailEl = document.getElementById('season-detail');
+const yoyPanelEl = document.getElementById('yoy-panel');
+const yoyGridEl = document.getElementById('yoy-grid');
+const prospectsPanelEl = document.getElementById('prospects-panel');
+const prospectsListEl = document.getElementById('prospects-list');
+const prospectsNoteEl = document.getElementById('prospects-note');
+const sortKeyEl = document.getElementById('sort-key');
+const sortDirEl = document.getElementById('sort-dir');
+const conferenceFilterEl = document.getElementById('conference-filter');
+const notableFilterEl = document.getElementById('notable-filter');
+const subtitleEl = document.getElementById('subtitle');
+const leaguePickerEl = document.getElementById('league-picker');
+const leagueSelectEl = document.getElementById('league');
+const teamColumnHeadEl = document.getElementById('team-column-head');
+const h2hHintEl = document.getElementById('h2h-hint');
+const feedLinkEl = document.getElementById('feed-link');
+const bottomSortOptionEl = sortKeyEl?.querySelector('option[value="bottom14"]');
+
+// The preference is kept as text (a team ID, name or slug) so it survives a
+// provider switch that changes team IDs; favoriteTeamId is resolved per payload.
+let favoriteTeamRef = '';
+let favoriteTeamId = '';
+let leagues = [DEFAULT_LEAGUE];
+let currentLeague = DEFAULT_LEAGUE;
+// An empty preference follows the browser's zone.
+let timeZonePreference = '';
+let currentPayload = null;
+let currentTrends = new Map();
+let selectedMatchup = null;
+let tableView = null;
+let seasonSummaries = [];
+// month is YYYY-MM and date is YYYY-MM-DD, both in the viewer's zone.
+let seasonView = { month: '', date: '' };
+// Team IDs whose full schedule is expanded, so a re-render keeps them open.
+const openSchedules = new Set();
 
 function escapeHtml(value) {
   return String(value)
@@ -82,23 +172,6 @@ function sumFromOpponentsText(opponentsText) {
   return matches.reduce((sum, m) => sum + Number(m[1] || 0), 0);
 }
 
-function resolveTeamDisplay(row) {
-  const baseTeam = row.team || row.teamDisplay || 'Unknown Team';
-
-  const directTotal = Number(row.totalRemainingVsBottom12);
-  if (Number.isFinite(directTotal)) return `${baseTeam} (${directTotal})`;
-
-  if (Array.isArray(row.opponents) && row.opponents.length) {
-    const total = row.opponents.reduce((sum, item) => sum + Number(item?.gamesRemaining || 0), 0);
-    return `${baseTeam} (${total})`;
-  }
-
-  const parsedTotal = sumFromOpponentsText(row.opponentsText);
-  if (Number.isFinite(parsedTotal)) return `${baseTeam} (${parsedTotal})`;
-
-  return baseTeam;
-}
-
 function resolveRecordText(row) {
   const record = String(row?.record || '').trim();
   return record || '--';
@@ -123,6 +196,11 @@ function buildRecordLineHtml(row) {
 
   const parts = [`<span class="record-item record-main">Record: ${record}</span>`];
 
+  // Points leagues order the race by points, so show them next to the record.
+  if (Number.isInteger(row?.points)) {
+    parts.push(`<span class="record-item record-points">${row.points} pts</span>`);
+  }
+
   if (streak) {
     parts.push(`<span class="record-item record-streak">${escapeHtml(streak)}</span>`);
   }
@@ -134,40 +212,325 @@ function buildRecordLineHtml(row) {
   return parts.join('');
 }
 
-function formatLoadStatus(rowsCount, generatedAt, refreshStatus) {
-  let message = `Last updated: ${formatTimestamp(generatedAt)}.`;
+function resolveLotteryOdds(row) {
+  const odds = row?.lotteryOdds;
+  if (!odds || typeof odds !== 'object') return null;
 
-  if (refreshStatus && refreshStatus.source === 'cached') {
-    const lastLive = refreshStatus.lastLiveGeneratedAt ? formatTimestamp(refreshStatus.lastLiveGeneratedAt) : 'unknown';
-    message += ` Using cached data (last live: ${lastLive}).`;
+  const firstPickPct = Number(odds.firstPickPct);
+  const lotteryPickPct = Number(odds.lotteryPickPct);
+  const expectedPick = Number(odds.expectedPick);
+  if (![firstPickPct, lotteryPickPct, expectedPick].every(Number.isFinite)) return null;
+
+  return { firstPickPct, lotteryPickPct, expectedPick };
+}
+
+function resolveTieTeams(row) {
+  const teams = Array.isArray(row?.tie?.teams) ? row.tie.teams : [];
+  return teams.map((item) => String(item?.team || '').trim()).filter(Boolean);
+}
+
+function buildRankHtml(row, index) {
+  const tieTeams = resolveTieTeams(row);
+  const label = String(row?.rankLabel || '').trim() || String(index + 1);
+
+  if (tieTeams.length < 2) {
+    return `<span class="team-rank">${escapeHtml(label)}.</span>`;
   }
 
-  return message;
+  const others = tieTeams.filter((name) => name !== String(row?.team || '').trim());
+  const tooltip = `Tied with ${others.join(', ')}. Draft order is decided by a lottery coin flip.`;
+  return `<span class="team-rank tied" title="${escapeHtml(tooltip)}" tabindex="0">${escapeHtml(label)}.</span>`;
 }
 
-function normalizeScheduleDays(todaySchedule) {
-  const schedule = todaySchedule && typeof todaySchedule === 'object' ? todaySchedule : {};
-  const timeZone = schedule.timeZone || 'America/New_York';
+// divider heads the group of rows with that status in the draft-rank view.
+const LOTTERY_STATUSES = {
+  locked: { label: 'Lottery locked', tooltip: 'Seeded below the play-in, so in the lottery whatever happens there.', divider: 'Locked into the lottery' },
+  'play-in': { label: 'Play-in', tooltip: 'In the play-in. Reaches the lottery only by being eliminated there.', divider: 'Lottery spot depends on the play-in' },
+  bubble: { label: 'Bubble', tooltip: 'Holds a playoff seed. Reaches the lottery only by dropping into the play-in and losing.', divider: 'Holding a playoff seed for now' },
+};
+
+// Leagues without a play-in only have teams outside or inside the playoff places.
+const NO_PLAY_IN_LOTTERY_STATUSES = {
+  locked: { label: 'In the lottery', tooltip: 'Outside the playoff places, so headed for the lottery.', divider: 'Outside the playoff places' },
+  bubble: { label: 'Bubble', tooltip: 'Holds a playoff seed. Reaches the lottery only by dropping out of the playoff places.', divider: 'Holding a playoff seed for now' },
+};
+
+function lotteryStatuses() {
+  return leagueSettings().playInSeeds > 0 ? LOTTERY_STATUSES : NO_PLAY_IN_LOTTERY_STATUSES;
+}
 
-  if (Array.isArray(schedule.days) && schedule.days.length) {
-    return {
-      timeZone,
-      days: schedule.days.slice(0, 3).map((day) => ({
-        dateEt: day?.dateEt || 'Unknown date',
-        games: Array.isArray(day?.games) ? day.games : [],
-      })),
-    };
+// Payloads from before conference seeding carry no lotteryStatus.
+function buildLotteryStatusHtml(row) {
+  const status = lotteryStatuses()[row?.lotteryStatus];
+  if (!status) return '';
+
+  const seed = Number.isInteger(row.conferenceRank) && row.conference ? `<span class="seed-item">#${row.conferenceRank} ${escapeHtml(row.conference)}</span>` : '';
+  return `<div class="team-seed"><span class="seed-item seed-status ${escapeHtml(row.lotteryStatus)}" title="${escapeHtml(status.tooltip)}">${escapeHtml(status.label)}</span>${seed}</div>`;
+}
+
+function buildLotteryLineHtml(row) {
+  const odds = resolveLotteryOdds(row);
+  if (!odds) return '';
+
+  return `<div class="team-odds"><span class="odds-item">#1 pick: ${escapeHtml(odds.firstPickPct.toFixed(1))}%</span><span class="odds-item">Top ${leagueSettings().lotteryDrawCount}: ${escapeHtml(
+    odds.lotteryPickPct.toFixed(1)
+  )}%</span><span class="odds-item">Avg pick: ${escapeHtml(odds.expectedPick.toFixed(1))}</span></div>`;
+}
+
+function formatWinPct(value) {
+  return value.toFixed(3).replace(/^0(?=\.)/, '');
+}
+
+function buildScheduleStrengthHtml(row) {
+  const sos = row?.strengthOfSchedule;
+  const opponentWinPct = Number(sos?.opponentWinPct);
+  if (!sos || !Number.isFinite(opponentWinPct)) return '';
+
+  const hardestRank = Number(sos.hardestRank);
+  const rankText = Number.isFinite(hardestRank) ? ` (${hardestRank}${ordinalSuffix(hardestRank)} hardest)` : '';
+  const parts = [
+    `<span class="sos-item sos-main">SOS: ${escapeHtml(formatWinPct(opponentWinPct))}${escapeHtml(rankText)}</span>`,
+    `<span class="sos-item">${escapeHtml(`${Number(sos.home) || 0} home / ${Number(sos.away) || 0} away`)}</span>`,
+    `<span class="sos-item">${escapeHtml(`${Number(sos.vsPlayoffTeams) || 0} vs playoff teams`)}</span>`,
+  ];
+
+  return `<div class="team-sos">${parts.join('')}</div>`;
+}
+
+function buildPickOwnershipHtml(row) {
+  const pick = row?.pickOwnership;
+  const summary = String(pick?.summary || '').trim();
+  if (!summary) return '';
+
+  const conveysTo = String(pick?.conveysTo || '').trim();
+  const details = [];
+
+  if (pick.protection) {
+    details.push(pick.protection.triggered ? `Projected to stay protected with ${conveysTo}` : `Projected to convey to ${conveysTo}`);
+
+    const keepPct = Number(pick.protection.keepPct);
+    if (Number.isFinite(keepPct)) details.push(`${keepPct.toFixed(1)}% to stay protected`);
+  } else if (conveysTo && conveysTo !== row.team) {
+    details.push(`Conveys to ${conveysTo}`);
   }
 
-  return {
+  const detailHtml = details.length ? `<span class="pick-status">${escapeHtml(details.join(' · '))}</span>` : '';
+  return `<div class="team-pick"><span class="pick-summary">${escapeHtml(summary)}</span>${detailHtml}</div>`;
+}
+
+function formatProspect(prospect) {
+  const details = [prospect?.position, prospect?.school].filter(Boolean).join(', ');
+  return `#${prospect?.rank} ${prospect?.name}${details ? ` (${details})` : ''}`;
+}
+
+function buildProspectsHtml(row) {
+  const range = row?.prospects?.pickRange;
+  const players = Array.isArray(row?.prospects?.players) ? row.prospects.players : [];
+  if (!range || !players.length) return '';
+
+  const picks = range.from === range.to ? String(range.from) : `${range.from}–${range.to}`;
+  const names = players.slice(0, CARD_PROSPECT_LIMIT).map((player) => player.name).join(', ');
+  const more = players.length > CARD_PROSPECT_LIMIT ? '…' : '';
+  const title = players.map(formatProspect).join('\n');
+  return `<div class="team-prospects" title="${escapeHtml(title)}">${escapeHtml(`Projected pick ${picks}: ${names}${more}`)}</div>`;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function browserTimeZone() {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : 'America/New_York';
+}
+
+function viewerTimeZone() {
+  return timeZonePreference || browserTimeZone();
+}
+
+// Asks Intl for the abbreviation at a given instant so EST/EDT (and other DST pairs) are right.
+function zoneAbbreviation(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(date);
+  return parts.find((part) => part.type === 'timeZoneName')?.value || timeZone;
+}
+
+function formatGameDate(iso, { withTime = false } = {}) {
+  if (!iso) return 'Date TBD';
+  const options = { weekday: 'short', month: 'short', day: 'numeric', timeZone: viewerTimeZone() };
+  if (withTime) Object.assign(options, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+  return new Intl.DateTimeFormat('en-US', options).format(new Date(iso));
+}
+
+function addDaysToKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+function readStoredTimeZone() {
+  try {
+    const stored = window.localStorage.getItem(TIME_ZONE_STORAGE_KEY) || '';
+    return isValidTimeZone(stored) ? stored : '';
+  } catch {
+    return '';
+  }
+}
+
+function storeTimeZone(timeZone) {
+  try {
+    if (timeZone) window.localStorage.setItem(TIME_ZONE_STORAGE_KEY, timeZone);
+    else window.localStorage.removeItem(TIME_ZONE_STORAGE_KEY);
+  } catch {
+    // Storage can be unavailable (private browsing); the choice then lasts for this visit.
+  }
+}
+
+function renderTimeZonePicker() {
+  if (!timeZoneSelectEl) return;
+
+  const label = (timeZone) => `${timeZone.replace(/^.*\//, '').replaceAll('_', ' ')} (${zoneAbbreviation(timeZone)})`;
+  const choices = TIME_ZONE_CHOICES.includes(timeZonePreference) || !timeZonePreference ? TIME_ZONE_CHOICES : [timeZonePreference, ...TIME_ZONE_CHOICES];
+  const options = choices
+    .map((timeZone) => {
+      const selected = timeZone === timeZonePreference ? ' selected' : '';
+      return `<option value="${escapeHtml(timeZone)}"${selected}>${escapeHtml(label(timeZone))}</option>`;
+    })
+    .join('');
+  timeZoneSelectEl.innerHTML = `<option value="">Browser: ${escapeHtml(label(browserTimeZone()))}</option>${options}`;
+}
+
+function toDateKey(iso, timeZone) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return new Intl.DateTimeFormat('en-CA', {
     timeZone,
-    days: [
-      {
-        dateEt: schedule.dateEt || 'Unknown date',
-        games: Array.isArray(schedule.games) ? schedule.games : [],
-      },
-    ],
-  };
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+// The first day of the season that dateKey falls in.
+function seasonStartKey(dateKey, startMonth) {
+  const year = Number(dateKey.slice(0, 4));
+  const month = Number(dateKey.slice(5, 7));
+  return `${month >= startMonth ? year : year - 1}-${String(startMonth).padStart(2, '0')}-01`;
+}
+
+function buildTeamTrends(historyIndex, payload) {
+  const trends = new Map();
+  const days = Array.isArray(historyIndex?.days) ? historyIndex.days.filter((day) => day && typeof day.date === 'string') : [];
+  if (!days.length) return trends;
+
+  const currentKey = toDateKey(payload?.generatedAt, historyIndex.timeZone || 'America/New_York') || days[days.length - 1].date;
+  const seasonStart = seasonStartKey(currentKey, leagueSettings(payload).seasonStartMonth);
+  const seasonDays = days.filter((day) => day.date >= seasonStart && day.date <= currentKey);
+  const previousDay = [...seasonDays].reverse().find((day) => day.date < currentKey) || null;
+
+  const teamsByDay = seasonDays.map((day) => {
+    const teams = Array.isArray(day.teams) ? day.teams : [];
+    return new Map(teams.map((team) => [String(team?.teamId || ''), team]));
+  });
+  const previousTeams = previousDay ? teamsByDay[seasonDays.indexOf(previousDay)] : null;
+
+  for (const row of Array.isArray(payload?.rows) ? payload.rows : []) {
+    const teamId = String(row?.teamId || '');
+    if (!teamId) continue;
+
+    const previous = previousTeams?.get(teamId);
+    const previousRank = Number(previous?.rank);
+    trends.set(teamId, {
+      previousDate: previousDay?.date || null,
+      previousRank: Number.isFinite(previousRank) ? previousRank : null,
+      points: teamsByDay.map((teams) => {
+        const entry = teams.get(teamId);
+        const rank = Number(entry?.rank);
+        const winPct = Number(entry?.winPct);
+        return {
+          rank: entry && Number.isFinite(rank) ? rank : null,
+          winPct: entry && Number.isFinite(winPct) ? winPct : null,
+        };
+      }),
+    });
+  }
+
+  return trends;
+}
+
+function buildRankChangeHtml(row, trend) {
+  if (!trend?.previousDate) return '';
+
+  const since = formatNotableDate(trend.previousDate, 'UTC');
+  if (trend.previousRank === null) {
+    return `<span class="rank-change new" title="${escapeHtml(`Not in the bottom ${leagueSettings().trackedTeamCount} on ${since}`)}">NEW</span>`;
+  }
+
+  const delta = trend.previousRank - Number(row?.rank);
+  if (!Number.isFinite(delta) || delta === 0) {
+    return `<span class="rank-change same" title="${escapeHtml(`Same rank as ${since}`)}">&#8211;</span>`;
+  }
+
+  const direction = delta > 0 ? 'up' : 'down';
+  const arrow = delta > 0 ? '&#9650;' : '&#9660;';
+  const title = `Was ${trend.previousRank} on ${since}`;
+  return `<span class="rank-change ${direction}" title="${escapeHtml(title)}">${arrow}${Math.abs(delta)}</span>`;
+}
+
+function buildSparklinePoints(values, width, height, padding, toY) {
+  const step = values.length > 1 ? (width - padding * 2) / (values.length - 1) : 0;
+  return values
+    .map((value, index) => (value === null ? null : `${(padding + index * step).toFixed(1)},${toY(value).toFixed(1)}`))
+    .filter(Boolean)
+    .join(' ');
+}
+
+function buildSparklineHtml(trend) {
+  const points = Array.isArray(trend?.points) ? trend.points : [];
+  if (points.filter((point) => point.rank !== null).length < 2) return '';
+
+  const width = 96;
+  const height = 24;
+  const padding = 2;
+  const inner = height - padding * 2;
+
+  const pcts = points.map((point) => point.winPct).filter((value) => value !== null);
+  const minPct = Math.min(...pcts);
+  const maxPct = Math.max(...pcts);
+  const pctY = (pct) => (maxPct === minPct ? height / 2 : padding + ((maxPct - pct) / (maxPct - minPct)) * inner);
+  const { trackedTeamCount } = leagueSettings();
+  const rankY = (rank) => padding + ((Math.min(rank, trackedTeamCount) - 1) / (trackedTeamCount - 1)) * inner;
+
+  const pctLine = buildSparklinePoints(points.map((point) => point.winPct), width, height, padding, pctY);
+  const rankLine = buildSparklinePoints(points.map((point) => point.rank), width, height, padding, rankY);
+
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Rank and win % this season"><title>Rank (gold, #1 at top) and win % (blue) this season</title><polyline class="spark-winpct" points="${pctLine}" /><polyline class="spark-rank" points="${rankLine}" /></svg>`;
+}
+
+function buildTrendLineHtml(row, trends) {
+  const trend = trends?.get(String(row?.teamId || ''));
+  const changeHtml = buildRankChangeHtml(row, trend);
+  const sparklineHtml = buildSparklineHtml(trend);
+  if (!changeHtml && !sparklineHtml) return '';
+
+  return `<div class="team-trend">${changeHtml}${sparklineHtml}</div>`;
+}
+
+function formatLoadStatus(rowsCount, generatedAt, refreshStatus) {
+  let message = `Last updated: ${formatTimestamp(generatedAt)}.`;
+
+  if (refreshStatus && refreshStatus.source === 'cached') {
+    const lastLive = refreshStatus.lastLiveGeneratedAt ? formatTimestamp(refreshStatus.lastLiveGeneratedAt) : 'unknown';
+    message += ` Using cached data (last live: ${lastLive}).`;
+    if (refreshStatus.reasonType === 'anomaly') message += ' The latest refresh failed a sanity check and was held back.';
+  }
+
+  return message;
 }
 
 function getBottomNotableTeamNames(rows) {
@@ -187,7 +550,7 @@ function getBottomNotableTeamNames(rows) {
 
   return new Set(
     orderedRows
-      .slice(0, NOTABLE_TEAM_COUNT)
+      .slice(0, leagueSettings().notableTeamCount)
       .map((row) => String(row?.team || '').trim())
       .filter(Boolean)
   );
@@ -220,38 +583,20 @@ function extractMatchupTeams(game) {
   };
 }
 
-function buildNotableGamesByTeam(todaySchedule, rows) {
-  const byRowData = new Map();
-  let hasRowLevelData = false;
-
-  for (const row of rows) {
-    const teamName = String(row?.team || '').trim();
-    if (!teamName) continue;
-
-    const items = Array.isArray(row?.notableTankGames)
-      ? row.notableTankGames.map((item) => String(item || '').trim()).filter(Boolean)
-      : [];
-
-    if (items.length) hasRowLevelData = true;
-    byRowData.set(teamName, items);
-  }
-
-  if (hasRowLevelData) {
-    return byRowData;
-  }
-
+// Builds before schemaVersion 1 did not list notable games per row, so they
+// are rebuilt from the matchups in the upcoming schedule.
+function deriveNotableGamesFromSchedule(todaySchedule, rows) {
   const byTeam = new Map();
   const teamNames = new Set(rows.map((row) => String(row?.team || '').trim()).filter(Boolean));
   for (const teamName of teamNames) byTeam.set(teamName, []);
 
-  const { timeZone, days } = normalizeScheduleDays(todaySchedule);
+  const { timeZone, days } = todaySchedule;
   const notableTeamNames = getBottomNotableTeamNames(rows);
 
   for (const day of days) {
     const dateLabel = formatNotableDate(day.dateEt, timeZone);
-    const games = Array.isArray(day.games) ? day.games : [];
 
-    for (const game of games) {
+    for (const game of day.games) {
       if (!isNotableMatchup(game, notableTeamNames)) continue;
 
       const matchupTeams = extractMatchupTeams(game);
@@ -272,25 +617,581 @@ function buildNotableGamesByTeam(todaySchedule, rows) {
   return byTeam;
 }
 
-function buildNotableGamesHtml(notableGames) {
+// Unversioned payloads: todaySchedule may be a single { dateEt, games } day and
+// rows may only carry opponentsText for the remaining-game count.
+function migrateLegacyPayload(payload) {
+  const schedule = payload.todaySchedule && typeof payload.todaySchedule === 'object' ? payload.todaySchedule : {};
+  const todaySchedule = {
+    timeZone: schedule.timeZone || 'America/New_York',
+    days: (Array.isArray(schedule.days) ? schedule.days : [{ dateEt: schedule.dateEt, games: schedule.games }]).map((day) => ({
+      dateEt: day?.dateEt || 'Unknown date',
+      games: Array.isArray(day?.games) ? day.games : [],
+    })),
+  };
+
+  const legacyRows = (Array.isArray(payload.rows) ? payload.rows : []).map((row) => {
+    const team = row.team || row.teamDisplay || 'Unknown Team';
+    const opponents = Array.isArray(row.opponents) ? row.opponents : [];
+    const directTotal = Number(row.totalRemainingVsBottom12);
+    const total = Number.isFinite(directTotal)
+      ? directTotal
+      : opponents.length
+        ? opponents.reduce((sum, item) => sum + Number(item?.gamesRemaining || 0), 0)
+        : sumFromOpponentsText(row.opponentsText) ?? 0;
+
+    return {
+      ...row,
+      team,
+      teamDisplay: `${team} (${total})`,
+      totalRemainingVsBottom12: total,
+      opponents,
+      opponentsText: row.opponentsText || '',
+      notableTankGames: Array.isArray(row.notableTankGames) ? row.notableTankGames.map((item) => String(item || '').trim()).filter(Boolean) : [],
+    };
+  });
+
+  const hasRowLevelNotables = legacyRows.some((row) => row.notableTankGames.length);
+  const derived = hasRowLevelNotables ? null : deriveNotableGamesFromSchedule(todaySchedule, legacyRows);
+  const rows = hasRowLevelNotables ? legacyRows : legacyRows.map((row) => ({ ...row, notableTankGames: derived.get(row.team) || [] }));
+
+  return { ...payload, schemaVersion: 1, todaySchedule, rows };
+}
+
+// Version 1 listed notable games as date-label strings and had no calendar feeds.
+function migrateLabelNotableGames(payload) {
+  const rows = payload.rows.map((row) => ({
+    ...row,
+    notableTankGames: row.notableTankGames.map((label) => ({ label })),
+    calendarPath: null,
+  }));
+  return { ...payload, schemaVersion: 2, rows };
+}
+
+// Version 2 named the chance of a lottery pick topFourPct, though the NHL only draws two.
+function migrateLotteryPickPct(payload) {
+  const rows = payload.rows.map((row) => {
+    if (!row.lotteryOdds) return row;
+    const { topFourPct, ...odds } = row.lotteryOdds;
+    return { ...row, lotteryOdds: { ...odds, lotteryPickPct: topFourPct } };
+  });
+  return { ...payload, schemaVersion: 3, rows };
+}
+
+// PAYLOAD_MIGRATIONS[n] upgrades a version-n payload to version n + 1.
+const PAYLOAD_MIGRATIONS = [migrateLegacyPayload, migrateLabelNotableGames, migrateLotteryPickPct];
+
+function migratePayload(payload) {
+  let version = Number.isInteger(payload?.schemaVersion) ? payload.schemaVersion : 0;
+  if (version > PAYLOAD_SCHEMA_VERSION) {
+    throw new Error(`this page is older than the data (schema version ${version}); reload to update`);
+  }
+
+  let migrated = payload;
+  while (version < PAYLOAD_SCHEMA_VERSION) {
+    migrated = PAYLOAD_MIGRATIONS[version](migrated);
+    version += 1;
+  }
+  return migrated;
+}
+
+function buildNotableGamesByTeam(rows) {
+  return new Map(rows.map((row) => [String(row?.team || '').trim(), row.notableTankGames]));
+}
+
+// Calendar apps subscribe (and keep refreshing) through webcal: links.
+function toWebcalUrl(path) {
+  return new URL(path, window.location.href).href.replace(/^https?:/, 'webcal:');
+}
+
+// Version 1 payloads only carry the Eastern date label.
+function formatNotableGameLabel(item, teamId) {
+  if (!item.tipoffUtc || !item.home || !item.away) return item.label;
+  const isHome = item.home.teamId === teamId;
+  const date = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', timeZone: viewerTimeZone() }).format(new Date(item.tipoffUtc));
+  return `${date}: ${isHome ? `vs. ${item.away.team}` : `at ${item.home.team}`}`;
+}
+
+function buildNotableGamesHtml(notableGames, calendarPath, teamId) {
   const items = Array.isArray(notableGames) ? notableGames.filter(Boolean) : [];
+  const subscribeHtml = calendarPath
+    ? ` <a class="notable-subscribe" href="${escapeHtml(toWebcalUrl(calendarPath))}">Subscribe</a>`
+    : '';
+  const titleHtml = `<p class="notable-title">Notable Tank Games${subscribeHtml}</p>`;
   if (!items.length) {
-    return '<div class="notable-games"><p class="notable-title">Notable Tank Games</p><p class="notable-empty">No notable tank games remaining.</p></div>';
+    return `<div class="notable-games">${titleHtml}<p class="notable-empty">No notable tank games remaining.</p></div>`;
   }
 
-  return `<div class="notable-games"><p class="notable-title">Notable Tank Games</p><ul class="notable-list">${items
-    .map((item) => `<li>${escapeHtml(item)}</li>`)
+  return `<div class="notable-games">${titleHtml}<ul class="notable-list">${items
+    .map((item) => `<li>${escapeHtml(formatNotableGameLabel(item, teamId))}</li>`)
     .join('')}</ul></div>`;
 }
 
-function renderTodaySchedule(todaySchedule, rows = []) {
+// Payloads from before the full schedule was exported have no remainingSchedule.
+function buildFullScheduleHtml(row) {
+  if (!Array.isArray(row.remainingSchedule)) return '';
+
+  const games = row.remainingSchedule;
+  const teamId = String(row.teamId || '');
+  const open = openSchedules.has(teamId) ? ' open' : '';
+  const tankCount = games.filter((game) => game.opponentTracked).length;
+  const summary = `Full remaining schedule (${formatGames(games.length)}, ${tankCount} vs tank teams)`;
+  if (!games.length) {
+    return `<details class="full-schedule" data-team-id="${escapeHtml(teamId)}"${open}><summary>${summary}</summary><p class="notable-empty">No games left.</p></details>`;
+  }
+
+  const itemsHtml = games
+    .map((game) => {
+      const when = formatGameDate(game.tipoffUtc);
+      const record = game.opponentRecord ? ` (${game.opponentRecord})` : '';
+      const className = game.opponentTracked ? ' class="tank-opponent"' : '';
+      return `<li${className}><span class="schedule-date">${escapeHtml(when)}</span> ${game.home ? 'vs.' : 'at'} ${escapeHtml(
+        game.opponentTeam
+      )}${escapeHtml(record)}</li>`;
+    })
+    .join('');
+  return `<details class="full-schedule" data-team-id="${escapeHtml(teamId)}"${open}><summary>${summary}</summary><ul class="full-schedule-list">${itemsHtml}</ul></details>`;
+}
+
+function renderCalendarLink(rows) {
+  if (!calendarLinkEl) return;
+
+  const favorite = rows.find((row) => String(row?.teamId || '') === favoriteTeamId) || null;
+  const path = favorite?.calendarPath || currentLeague.calendar;
+  calendarLinkEl.href = toWebcalUrl(path);
+  calendarLinkEl.textContent = favorite?.calendarPath ? `Subscribe to ${favorite.team} tank battles` : 'Subscribe to tank battles';
+}
+
+function parseRecord(row) {
+  const match = /^(\d+)-(\d+)$/.exec(String(row?.record || '').trim());
+  if (!match) return null;
+  return { wins: Number(match[1]), losses: Number(match[2]) };
+}
+
+// Positive when `team` has the better record (is ahead of `reference` and further from the #1 pick).
+function gamesAhead(team, reference) {
+  const a = parseRecord(team);
+  const b = parseRecord(reference);
+  if (!a || !b) return null;
+  return (a.wins - b.wins + (b.losses - a.losses)) / 2;
+}
+
+function formatGames(value) {
+  const amount = Math.abs(value);
+  return `${amount % 1 === 0 ? amount.toFixed(0) : amount.toFixed(1)} ${amount === 1 ? 'game' : 'games'}`;
+}
+
+function withArticle(teamName) {
+  return `${/^[AEIO]/i.test(teamName) ? 'an' : 'a'} ${teamName}`;
+}
+
+function describeRivalWin(rival, favorite) {
+  const ahead = gamesAhead(rival, favorite);
+  if (ahead === null) return `${withArticle(rival.team)} win helps your draft position`;
+
+  const after = ahead + 0.5;
+  if (ahead >= 0) return `${withArticle(rival.team)} win keeps them ${formatGames(after)} ahead of you`;
+  if (after < 0) return `${withArticle(rival.team)} win pulls them within ${formatGames(after)} of you`;
+  if (after === 0) return `${withArticle(rival.team)} win pulls them even with you`;
+  return `${withArticle(rival.team)} win moves them ${formatGames(after)} ahead of you`;
+}
+
+function describeFavoriteLoss(favorite, rows) {
+  const rank = Number(favorite?.rank);
+  const worse = rows.find((row) => Number(row?.rank) === rank - 1);
+  const better = rows.find((row) => Number(row?.rank) === rank + 1);
+
+  if (!worse) {
+    const cushion = better ? gamesAhead(better, favorite) : null;
+    return cushion === null
+      ? `${withArticle(favorite.team)} loss protects the #1 slot`
+      : `${withArticle(favorite.team)} loss stretches your hold on #1 to ${formatGames(cushion + 0.5)}`;
+  }
+
+  const gap = gamesAhead(favorite, worse);
+  if (gap === null) return `${withArticle(favorite.team)} loss helps your draft position`;
+
+  const after = gap - 0.5;
+  if (after > 0) return `${withArticle(favorite.team)} loss pulls you within ${formatGames(after)} of ${worse.team}`;
+  if (after === 0) return `${withArticle(favorite.team)} loss pulls you even with ${worse.team}`;
+  return `${withArticle(favorite.team)} loss moves you past ${worse.team}`;
+}
+
+function buildRootingSuggestion(game, favorite, rows) {
+  const teams = extractMatchupTeams(game);
+  if (!teams || !favorite) return null;
+
+  const rowsByName = new Map(rows.map((row) => [String(row?.team || '').trim(), row]));
+  const away = rowsByName.get(teams.awayTeam) || null;
+  const home = rowsByName.get(teams.homeTeam) || null;
+
+  if (away === favorite || home === favorite) {
+    const opponent = away === favorite ? teams.homeTeam : teams.awayTeam;
+    return { rootFor: opponent, reason: describeFavoriteLoss(favorite, rows) };
+  }
+
+  const rivals = [away, home].filter(Boolean);
+  if (!rivals.length) return null;
+
+  if (rivals.length === 1) {
+    return { rootFor: rivals[0].team, reason: describeRivalWin(rivals[0], favorite) };
+  }
+
+  // Between two other tracked teams, the loser gets worse. Root for the team
+  // closest to you to win so the loss lands on the team further away.
+  const distance = (row) => Math.abs(gamesAhead(row, favorite) ?? Number.POSITIVE_INFINITY);
+  const [winner, loser] = [...rivals].sort(
+    (a, b) => distance(a) - distance(b) || (gamesAhead(a, favorite) ?? 0) - (gamesAhead(b, favorite) ?? 0)
+  );
+  const loserGap = gamesAhead(loser, favorite);
+  const loserText = loserGap === null ? '' : `, while ${loser.team} sits ${formatGames(loserGap)} ${loserGap >= 0 ? 'ahead of' : 'behind'} you`;
+  return { rootFor: winner.team, reason: `${describeRivalWin(winner, favorite)}${loserText}` };
+}
+
+function buildRootingHtml(game, favorite, rows) {
+  const suggestion = buildRootingSuggestion(game, favorite, rows);
+  if (!suggestion) return '';
+
+  return `<span class="rooting"><span class="rooting-pick">Root for ${escapeHtml(suggestion.rootFor)}</span>: ${escapeHtml(
+    suggestion.reason
+  )}.</span>`;
+}
+
+function teamSlug(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function findFavoriteRow(rows, ref) {
+  const slug = teamSlug(ref);
+  if (!slug) return null;
+
+  return (
+    rows.find((row) => String(row?.teamId || '') === String(ref).trim()) ||
+    rows.find((row) => teamSlug(row?.team) === slug) ||
+    rows.find((row) => teamSlug(row?.team).endsWith(`-${slug}`) || slug.endsWith(`-${teamSlug(row?.team)}`)) ||
+    null
+  );
+}
+
+// Payloads from before leagues were added carry no league block and are NBA data.
+function leagueSettings(payload = currentPayload) {
+  const league = payload?.league;
+  return {
+    name: league?.name || currentLeague.name,
+    trackedTeamCount: league?.trackedTeamCount ?? TRACKED_TEAM_COUNT,
+    notableTeamCount: league?.notableTeamCount ?? NOTABLE_TEAM_COUNT,
+    lotteryDrawCount: league?.lotteryDrawCount ?? LOTTERY_DRAW_COUNT,
+    playInSeeds: league?.playInSeeds ?? PLAY_IN_SEEDS,
+    seasonStartMonth: league?.seasonStartMonth ?? SEASON_START_MONTH,
+  };
+}
+
+// Season summary paths in seasons/index.json are relative to the league's data directory.
+function leagueDataUrl() {
+  return new URL(currentLeague.data, window.location.href);
+}
+
+// The NBA keeps the original key so existing favorites carry over.
+function favoriteStorageKey() {
+  return currentLeague.id === DEFAULT_LEAGUE.id ? FAVORITE_STORAGE_KEY : `${FAVORITE_STORAGE_KEY}:${currentLeague.id}`;
+}
+
+function defaultSubtitleHtml() {
+  const { trackedTeamCount, name } = leagueSettings();
+  return `Bottom ${trackedTeamCount} ${escapeHtml(name)} teams<br class="mobile-sub-break" /> with remaining head-to-head games`;
+}
+
+function readStoredLeague() {
+  try {
+    return window.localStorage.getItem(LEAGUE_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+function storeLeague(id) {
+  try {
+    window.localStorage.setItem(LEAGUE_STORAGE_KEY, id);
+  } catch {
+    // Storage can be unavailable (private browsing); the URL still carries the choice.
+  }
+}
+
+// A team from one league means nothing in another, so switching drops team=.
+function writeLeagueToUrl(id) {
+  const url = new URL(window.location.href);
+  if (id !== DEFAULT_LEAGUE.id) url.searchParams.set('league', id);
+  else url.searchParams.delete('league');
+  url.searchParams.delete('team');
+  window.history.replaceState(null, '', url);
+}
+
+// leagues.json lists the leagues with data. Without it the page shows the NBA only.
+async function loadLeagues() {
+  try {
+    const response = await fetch(`${LEAGUES_URL}?t=${Date.now()}`, { cache: 'no-store' });
+    if (!response.ok) return [DEFAULT_LEAGUE];
+    const manifest = await response.json();
+    const listed = (Array.isArray(manifest?.leagues) ? manifest.leagues : []).filter((league) => league?.id && league?.data);
+    return listed.length ? listed : [DEFAULT_LEAGUE];
+  } catch {
+    return [DEFAULT_LEAGUE];
+  }
+}
+
+async function initLeague() {
+  leagues = await loadLeagues();
+  const fromUrl = new URLSearchParams(window.location.search).get('league') || '';
+  const find = (id) => leagues.find((league) => league.id === String(id).toLowerCase()) || null;
+  currentLeague = find(fromUrl) || find(readStoredLeague()) || find(DEFAULT_LEAGUE.id) || leagues[0];
+  if (fromUrl && find(fromUrl)) storeLeague(currentLeague.id);
+  renderLeaguePicker();
+}
+
+function renderLeaguePicker() {
+  if (!leagueSelectEl) return;
+
+  if (leaguePickerEl) leaguePickerEl.hidden = leagues.length < 2;
+  leagueSelectEl.innerHTML = leagues
+    .map((league) => {
+      const selected = league.id === currentLeague.id ? ' selected' : '';
+      return `<option value="${escapeHtml(league.id)}"${selected}>${escapeHtml(league.name || league.id.toUpperCase())}</option>`;
+    })
+    .join('');
+}
+
+// Copy in the static page that names the league or its team counts.
+function renderLeagueText() {
+  const { trackedTeamCount } = leagueSettings();
+  if (bottomSortOptionEl) bottomSortOptionEl.textContent = `Games vs bottom ${trackedTeamCount}`;
+  if (teamColumnHeadEl) teamColumnHeadEl.textContent = `Team (Total vs Bottom ${trackedTeamCount})`;
+  if (h2hHintEl) h2hHintEl.textContent = `Games left between each pair of bottom-${trackedTeamCount} teams. Pick a cell to see the dates.`;
+  if (feedLinkEl) feedLinkEl.href = `./${currentLeague.feed}`;
+  renderTableControls(tableView);
+}
+
+function readStoredFavorite() {
+  try {
+    return window.localStorage.getItem(favoriteStorageKey()) || '';
+  } catch {
+    return '';
+  }
+}
+
+function storeFavorite(ref) {
+  try {
+    if (ref) window.localStorage.setItem(favoriteStorageKey(), ref);
+    else window.localStorage.removeItem(favoriteStorageKey());
+  } catch {
+    // Storage can be unavailable (private browsing); the URL still carries the choice.
+  }
+}
+
+function readFavoriteFromUrl() {
+  return new URLSearchParams(window.location.search).get('team') || '';
+}
+
+function writeFavoriteToUrl(slug) {
+  const url = new URL(window.location.href);
+  if (slug) url.searchParams.set('team', slug);
+  else url.searchParams.delete('team');
+  window.history.replaceState(null, '', url);
+}
+
+function initFavoriteTeam() {
+  const fromUrl = readFavoriteFromUrl();
+  if (fromUrl) storeFavorite(fromUrl);
+  favoriteTeamRef = fromUrl || readStoredFavorite();
+}
+
+function renderFavoriteHeader(rows) {
+  const favorite = rows.find((row) => String(row?.teamId || '') === favoriteTeamId) || null;
+
+  if (!favorite) {
+    document.title = DEFAULT_TITLE;
+    if (subtitleEl) subtitleEl.innerHTML = defaultSubtitleHtml();
+    return;
+  }
+
+  document.title = `${favorite.team} · ${DEFAULT_TITLE}`;
+  if (!subtitleEl) return;
+
+  const rank = String(favorite.rankLabel || favorite.rank || '').trim();
+  const record = resolveRecordText(favorite);
+  subtitleEl.innerHTML = `Following the <strong>${escapeHtml(favorite.team)}</strong>:<br class="mobile-sub-break" /> #${escapeHtml(
+    rank
+  )} in the race (${escapeHtml(record)})`;
+}
+
+function renderFavoritePicker(rows) {
+  if (!favoriteSelectEl) return;
+
+  const orderedRows = [...rows].sort((a, b) => Number(a?.rank) - Number(b?.rank));
+  const options = orderedRows
+    .filter((row) => row?.teamId && row?.team)
+    .map((row) => {
+      const teamId = String(row.teamId);
+      const selected = teamId === favoriteTeamId ? ' selected' : '';
+      return `<option value="${escapeHtml(teamId)}"${selected}>${escapeHtml(row.team)}</option>`;
+    })
+    .join('');
+
+  favoriteSelectEl.innerHTML = `<option value="">No team</option>${options}`;
+}
+
+const RESULT_TAG_LABELS = {
+  'tank-battle': 'Tank battle',
+  'tracked-win': 'Tank team won',
+};
+
+function buildResultMoveHtml(side) {
+  if (!side?.tracked || !Number.isFinite(side.rankBefore) || !Number.isFinite(side.rankAfter)) return '';
+
+  const delta = side.rankBefore - side.rankAfter;
+  const team = escapeHtml(side.team);
+  if (delta === 0) return `<span class="rank-change same">${team} stays ${side.rankAfter}</span>`;
+
+  const direction = delta > 0 ? 'up' : 'down';
+  const arrow = delta > 0 ? '&#9650;' : '&#9660;';
+  return `<span class="rank-change ${direction}">${team} ${arrow} ${side.rankBefore} &#8594; ${side.rankAfter}</span>`;
+}
+
+// Payloads from before last night's results were collected have no lastNight block.
+function renderLastNight(lastNight) {
+  const games = Array.isArray(lastNight?.games) ? lastNight.games : [];
+  lastNightEl.hidden = !games.length;
+  if (!games.length) {
+    lastNightEl.innerHTML = '';
+    return;
+  }
+
+  const isFavoriteGame = (game) => Boolean(favoriteTeamId) && [game.winner.teamId, game.loser.teamId].includes(favoriteTeamId);
+  const ordered = [...games.filter(isFavoriteGame), ...games.filter((game) => !isFavoriteGame(game))];
+
+  const itemsHtml = ordered
+    .map((game) => {
+      const score = `${escapeHtml(game.winner.team)} ${game.winner.score}, ${escapeHtml(game.loser.team)} ${game.loser.score}`;
+      const tagsHtml = game.tags.map((tag) => `<span class="result-tag">${escapeHtml(RESULT_TAG_LABELS[tag] || tag)}</span>`).join('');
+      const movesHtml = [buildResultMoveHtml(game.winner), buildResultMoveHtml(game.loser)].join('');
+      const classes = [game.tags.includes('tank-battle') ? 'notable-matchup' : '', isFavoriteGame(game) ? 'favorite-game' : '']
+        .filter(Boolean)
+        .join(' ');
+      return `<li class="${classes}"><span class="result-score">${score}</span>${tagsHtml}${movesHtml ? `<span class="result-moves">${movesHtml}</span>` : ''}</li>`;
+    })
+    .join('');
+
+  lastNightEl.innerHTML = `<section class="today-day"><p class="today-date">Last night</p><ul class="today-list">${itemsHtml}</ul></section>`;
+}
+
+function shortTeamName(team) {
+  const words = String(team || '').trim().split(/\s+/);
+  return words[words.length - 1] || team;
+}
+
+function renderMatchupDetail(headToHead) {
+  if (!selectedMatchup) {
+    h2hDetailEl.innerHTML = '';
+    return;
+  }
+
+  const { teams, games } = headToHead;
+  const [first, second] = [teams[selectedMatchup.row], teams[selectedMatchup.col]];
+  const namesById = new Map(teams.map((team) => [team.teamId, team.team]));
+  const pairIds = [first.teamId, second.teamId];
+  const pairGames = games.filter((game) => pairIds.includes(game.homeTeamId) && pairIds.includes(game.awayTeamId));
+
+  const heading = `${escapeHtml(first.team)} vs. ${escapeHtml(second.team)}: ${formatGames(pairGames.length)} left`;
+  if (!pairGames.length) {
+    h2hDetailEl.innerHTML = `<p>${heading}</p>`;
+    return;
+  }
+
+  const itemsHtml = pairGames
+    .map((game) => {
+      const when = formatGameDate(game.tipoffUtc, { withTime: true });
+      const matchup = `${namesById.get(game.awayTeamId)} at ${namesById.get(game.homeTeamId)}`;
+      return `<li>${escapeHtml(when)}: ${escapeHtml(matchup)}</li>`;
+    })
+    .join('');
+  h2hDetailEl.innerHTML = `<p>${heading}</p><ul>${itemsHtml}</ul>`;
+}
+
+// Payloads from before the matrix was exported have no headToHead block.
+function renderHeadToHead(headToHead, rows = []) {
+  const teams = Array.isArray(headToHead?.teams) ? headToHead.teams : [];
+  h2hPanelEl.hidden = !teams.length;
+  if (!teams.length) return;
+
+  if (selectedMatchup && (selectedMatchup.row >= teams.length || selectedMatchup.col >= teams.length)) selectedMatchup = null;
+  const max = Math.max(1, ...headToHead.counts.flat());
+  const rankLabels = new Map(rows.map((row) => [String(row?.teamId || ''), row.rankLabel]));
+  const isFavorite = (team) => Boolean(favoriteTeamId) && team.teamId === favoriteTeamId;
+  const labelClass = (kind, team) => `matrix-label ${kind}${isFavorite(team) ? ' favorite' : ''}`;
+
+  const headerHtml = `<span class="matrix-label row-label"></span>${teams
+    .map((team) => `<span class="${labelClass('col-label', team)}" title="${escapeHtml(team.team)}">${escapeHtml(shortTeamName(team.team))}</span>`)
+    .join('')}`;
+
+  const rowsHtml = teams
+    .map((team, row) => {
+      const cellsHtml = teams
+        .map((opponent, col) => {
+          if (row === col) return '<span class="matrix-cell self" aria-hidden="true"></span>';
+
+          const count = headToHead.counts[row][col];
+          const selected = selectedMatchup && selectedMatchup.row === row && selectedMatchup.col === col;
+          const classes = ['matrix-cell', count ? '' : 'empty', selected ? 'selected' : ''].filter(Boolean).join(' ');
+          const label = `${team.team} vs. ${opponent.team}: ${formatGames(count)} left`;
+          return `<button type="button" class="${classes}" style="--heat: ${(count / max).toFixed(2)}" data-row="${row}" data-col="${col}" aria-label="${escapeHtml(
+            label
+          )}">${count}</button>`;
+        })
+        .join('');
+      return `<span class="${labelClass('row-label', team)}">${escapeHtml(rankLabels.get(team.teamId) || String(row + 1))}. ${escapeHtml(shortTeamName(team.team))}</span>${cellsHtml}`;
+    })
+    .join('');
+
+  h2hMatrixEl.style.gridTemplateColumns = `auto repeat(${teams.length}, minmax(34px, 1fr))`;
+  h2hMatrixEl.innerHTML = `${headerHtml}${rowsHtml}`;
+  renderMatchupDetail(headToHead);
+}
+
+// The payload buckets games into Eastern days; regroup them into the viewer's own calendar days.
+function groupScheduleByViewerDay(todaySchedule, timeZone) {
+  const byDay = new Map();
+  const seen = new Set();
+  for (const day of todaySchedule.days) {
+    for (const game of day.games) {
+      const id = game.gameId || `${game.matchup}|${game.tipoffUtc}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const key = game.tipoffUtc ? toDateKey(game.tipoffUtc, timeZone) : day.dateEt;
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(game);
+    }
+  }
+  for (const games of byDay.values()) {
+    games.sort((a, b) => String(a.tipoffUtc || '\uffff').localeCompare(String(b.tipoffUtc || '\uffff')));
+  }
+  return byDay;
+}
+
+// Days start from the build's date so a cached payload still shows the games it was built with.
+function renderTodaySchedule(todaySchedule, rows = [], generatedAt = null) {
   todayListEl.innerHTML = '';
 
-  const { timeZone, days } = normalizeScheduleDays(todaySchedule);
+  const timeZone = viewerTimeZone();
+  const byDay = groupScheduleByViewerDay(todaySchedule, timeZone);
+  const todayKey = toDateKey(generatedAt || new Date().toISOString(), timeZone) || toDateKey(new Date().toISOString(), timeZone);
+  const dayKeys = Array.from({ length: SCHEDULE_DAY_COUNT }, (_, offset) => addDaysToKey(todayKey, offset));
   const notableTeamNames = getBottomNotableTeamNames(rows);
+  const favorite = rows.find((row) => String(row?.teamId || '') === favoriteTeamId) || null;
 
-  if (!days.length) {
-    todayListEl.innerHTML = '<p class="today-empty">No tank games in the next 3 days.</p>';
+  if (!dayKeys.some((key) => byDay.get(key)?.length)) {
+    todayListEl.innerHTML = `<p class="today-empty">No tank games in the next ${SCHEDULE_DAY_COUNT} days.</p>`;
     return;
   }
 
@@ -298,20 +1199,25 @@ function renderTodaySchedule(todaySchedule, rows = []) {
     hour: 'numeric',
     minute: '2-digit',
     timeZone,
+    timeZoneName: 'short',
   });
 
-  todayListEl.innerHTML = days
-    .map((day) => {
-      const dateLabel = escapeHtml(formatScheduleDate(day.dateEt, timeZone));
-      const games = Array.isArray(day.games) ? day.games : [];
+  todayListEl.innerHTML = dayKeys
+    .map((key) => {
+      const dateLabel = escapeHtml(formatScheduleDate(key, 'UTC'));
+      const dayGames = byDay.get(key) || [];
+      const isFavoriteGame = (game) => Boolean(favorite) && Object.values(extractMatchupTeams(game) || {}).includes(favorite.team);
+      const games = [...dayGames.filter(isFavoriteGame), ...dayGames.filter((game) => !isFavoriteGame(game))];
 
       const gamesHtml = games.length
         ? `<ul class="today-list">${games
             .map((game) => {
               const matchup = escapeHtml(game.matchup || 'Unknown matchup');
-              const tipoffText = game.tipoffUtc ? `${formatter.format(new Date(game.tipoffUtc))} (EST)` : 'TBD (EST)';
+              const tipoffText = game.tipoffUtc ? formatter.format(new Date(game.tipoffUtc)) : 'Time TBD';
               const emphasize = isNotableMatchup(game, notableTeamNames);
-              return `<li class="${emphasize ? 'notable-matchup' : ''}">${escapeHtml(tipoffText)} - ${matchup}</li>`;
+              const rootingHtml = buildRootingHtml(game, favorite, rows);
+              const classes = [emphasize ? 'notable-matchup' : '', isFavoriteGame(game) ? 'favorite-game' : ''].filter(Boolean).join(' ');
+              return `<li class="${classes}">${escapeHtml(tipoffText)} - ${matchup}${rootingHtml}</li>`;
             })
             .join('')}</ul>`
         : '<p class="today-empty">No tank games.</p>';
@@ -321,7 +1227,209 @@ function renderTodaySchedule(todaySchedule, rows = []) {
     .join('');
 }
 
-function renderRows(rows, payload) {
+const SEASON_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// A night is busy when it has at least this share of the season's biggest slate.
+const BUSY_NIGHT_SHARE = 0.75;
+
+function addMonthsToKey(month, months) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 + months, 1)).toISOString().slice(0, 7);
+}
+
+function renderSeasonDetail(byDay, rows) {
+  const favorite = rows.find((row) => String(row?.teamId || '') === favoriteTeamId) || null;
+  const games = byDay.get(seasonView.date) || [];
+  const heading = `${escapeHtml(formatScheduleDate(seasonView.date, 'UTC'))}: ${games.length ? formatGames(games.length).replace('game', 'tank game') : 'no tank games'}`;
+  if (!games.length) {
+    seasonDetailEl.innerHTML = `<p>${heading}</p>`;
+    return;
+  }
+
+  const formatter = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit', timeZone: viewerTimeZone(), timeZoneName: 'short' });
+  const itemsHtml = games
+    .map((game) => {
+      const isFavoriteGame = Boolean(favorite) && (game.trackedTeams || []).includes(favorite.team);
+      const classes = [game.tankBattle ? 'tank-battle' : '', isFavoriteGame ? 'favorite-game' : ''].filter(Boolean).join(' ');
+      return `<li class="${classes}">${escapeHtml(formatter.format(new Date(game.tipoffUtc)))} - ${escapeHtml(game.matchup)}</li>`;
+    })
+    .join('');
+  seasonDetailEl.innerHTML = `<p>${heading}</p><ul>${itemsHtml}</ul>`;
+}
+
+// Payloads from before the season calendar have no seasonSchedule block.
+function renderSeasonCalendar(seasonSchedule, rows = [], generatedAt = null) {
+  const hasDays = Array.isArray(seasonSchedule?.days) && seasonSchedule.days.length > 0;
+  seasonPanelEl.hidden = !hasDays;
+  if (!hasDays) return;
+
+  const byDay = groupScheduleByViewerDay(seasonSchedule, viewerTimeZone());
+  const keys = [...byDay.keys()].sort();
+  const [firstKey, lastKey] = [keys[0], keys[keys.length - 1]];
+  if (!seasonView.date) {
+    const todayKey = toDateKey(generatedAt || new Date().toISOString(), viewerTimeZone()) || firstKey;
+    seasonView.date = keys.find((key) => key >= todayKey) || firstKey;
+  }
+  const [firstMonth, lastMonth] = [firstKey.slice(0, 7), lastKey.slice(0, 7)];
+  const month = seasonView.month || seasonView.date.slice(0, 7);
+  seasonView.month = month < firstMonth ? firstMonth : month > lastMonth ? lastMonth : month;
+
+  const counts = keys.map((key) => byDay.get(key).length);
+  const max = Math.max(1, ...counts);
+  const [year, monthNumber] = seasonView.month.split('-').map(Number);
+  const leadingBlanks = new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+
+  const cellsHtml = Array.from({ length: daysInMonth }, (_, index) => {
+    const day = index + 1;
+    const key = `${seasonView.month}-${String(day).padStart(2, '0')}`;
+    const games = byDay.get(key) || [];
+    if (!games.length) return `<span class="season-day empty">${day}</span>`;
+
+    const battles = games.filter((game) => game.tankBattle).length;
+    const busy = games.length >= Math.max(2, Math.ceil(max * BUSY_NIGHT_SHARE));
+    const classes = ['season-day', busy ? 'busy' : '', battles ? 'has-battle' : '', key === seasonView.date ? 'selected' : ''].filter(Boolean).join(' ');
+    const title = `${formatGames(games.length).replace('game', 'tank game')}${battles ? `, ${battles} tank battle${battles === 1 ? '' : 's'}` : ''}`;
+    return `<button type="button" class="${classes}" data-date="${key}" style="--heat: ${(games.length / max).toFixed(2)}" title="${escapeHtml(title)}" aria-label="${escapeHtml(`${formatScheduleDate(key, 'UTC')}: ${title}`)}"><span class="season-day-number">${day}</span><span class="season-day-count">${games.length}</span></button>`;
+  });
+
+  seasonMonthEl.textContent = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' }).format(
+    new Date(Date.UTC(year, monthNumber - 1, 1))
+  );
+  seasonPrevEl.disabled = seasonView.month <= firstMonth;
+  seasonNextEl.disabled = seasonView.month >= lastMonth;
+  seasonJumpEl.min = firstKey;
+  seasonJumpEl.max = lastKey;
+  seasonJumpEl.value = seasonView.date;
+  seasonGridEl.innerHTML = [
+    ...SEASON_WEEKDAYS.map((weekday) => `<span class="season-weekday">${weekday}</span>`),
+    ...Array.from({ length: leadingBlanks }, () => '<span class="season-day blank"></span>'),
+    ...cellsHtml,
+  ].join('');
+  renderSeasonDetail(byDay, rows);
+}
+
+function updateSeasonView(changes) {
+  seasonView = { ...seasonView, ...changes };
+  if (currentPayload) renderSeasonCalendar(currentPayload.seasonSchedule, Array.isArray(currentPayload.rows) ? currentPayload.rows : [], currentPayload.generatedAt);
+}
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function parseStreakValue(row) {
+  const streak = resolveStreakText(row);
+  if (!streak) return null;
+  const length = Number(streak.slice(1));
+  return streak.startsWith('W') ? length : -length;
+}
+
+function parseLast10Wins(row) {
+  const last10 = resolveLast10Text(row);
+  return last10 ? Number(last10.split('-')[0]) : null;
+}
+
+// Each sort's default direction puts the tankiest teams first.
+const TABLE_SORTS = {
+  rank: { label: 'draft rank', value: (row) => Number(row.rank), dir: 'asc' },
+  bottom14: {
+    get label() {
+      return `games vs bottom ${leagueSettings().trackedTeamCount}`;
+    },
+    value: (row) => Number(row.totalRemainingVsBottom12),
+    dir: 'desc',
+  },
+  l10: { label: 'last 10', value: parseLast10Wins, dir: 'asc' },
+  streak: { label: 'streak', value: parseStreakValue, dir: 'asc' },
+  winpct: { label: 'win %', value: (row) => Number(row.winPct), dir: 'asc' },
+};
+
+const DEFAULT_TABLE_VIEW = { sort: 'rank', dir: 'asc', conference: '', notableWeek: false };
+
+function readTableViewFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const sort = TABLE_SORTS[params.get('sort')] ? params.get('sort') : DEFAULT_TABLE_VIEW.sort;
+  const dir = ['asc', 'desc'].includes(params.get('dir')) ? params.get('dir') : TABLE_SORTS[sort].dir;
+  const conference = ['East', 'West'].find((value) => value.toLowerCase() === String(params.get('conf') || '').toLowerCase()) || '';
+  return { sort, dir, conference, notableWeek: params.get('notable') === 'week' };
+}
+
+// Only non-default choices go in the URL so shared links stay short; team= is left alone.
+function writeTableViewToUrl(view) {
+  const url = new URL(window.location.href);
+  const entries = {
+    sort: view.sort !== DEFAULT_TABLE_VIEW.sort ? view.sort : null,
+    dir: view.dir !== TABLE_SORTS[view.sort].dir ? view.dir : null,
+    conf: view.conference ? view.conference.toLowerCase() : null,
+    notable: view.notableWeek ? 'week' : null,
+  };
+  for (const [key, value] of Object.entries(entries)) {
+    if (value) url.searchParams.set(key, value);
+    else url.searchParams.delete(key);
+  }
+  window.history.replaceState(null, '', url);
+}
+
+function renderTableControls(view) {
+  if (sortKeyEl) sortKeyEl.value = view.sort;
+  if (conferenceFilterEl) conferenceFilterEl.value = view.conference;
+  if (notableFilterEl) notableFilterEl.checked = view.notableWeek;
+  if (sortDirEl) {
+    const ascending = view.dir === 'asc';
+    sortDirEl.textContent = ascending ? '\u2191 Ascending' : '\u2193 Descending';
+    sortDirEl.setAttribute('aria-label', `Sorted by ${TABLE_SORTS[view.sort].label}, ${ascending ? 'ascending' : 'descending'}. Reverse order.`);
+  }
+}
+
+function hasNotableGameThisWeek(row, now) {
+  return row.notableTankGames.some((game) => {
+    const tipoff = Date.parse(game?.tipoffUtc);
+    return Number.isFinite(tipoff) && tipoff >= now && tipoff - now <= WEEK_MS;
+  });
+}
+
+function applyTableView(rankedRows, view) {
+  const now = Date.now();
+  const filtered = rankedRows.filter(
+    (row) => (!view.conference || row.conference === view.conference) && (!view.notableWeek || hasNotableGameThisWeek(row, now))
+  );
+
+  const { value } = TABLE_SORTS[view.sort];
+  const sign = view.dir === 'asc' ? 1 : -1;
+  // Missing values sort last either way; ties keep draft order.
+  return filtered
+    .map((row, index) => ({ row, index, key: value(row) }))
+    .sort((a, b) => {
+      const aMissing = !Number.isFinite(a.key);
+      const bMissing = !Number.isFinite(b.key);
+      if (aMissing || bMissing) return aMissing - bMissing || a.index - b.index;
+      return sign * (a.key - b.key) || a.index - b.index;
+    })
+    .map((entry) => entry.row);
+}
+
+// The draft-rank view groups the rows by lottery status, most certain first,
+// keeping draft order inside each group. Returns the rows in that order and the
+// divider text that heads each group.
+function groupByLotteryStatus(orderedRows, view) {
+  const ungrouped = { rows: orderedRows, dividers: orderedRows.map(() => '') };
+  const statuses = lotteryStatuses();
+  if (view.sort !== 'rank' || !orderedRows.some((row) => statuses[row.lotteryStatus])) return ungrouped;
+
+  const order = Object.keys(statuses);
+  if (view.dir === 'desc') order.reverse();
+  const rows = [];
+  const dividers = [];
+  // Rows without a known status (payloads from before seeding) go last, unheaded.
+  for (const status of [...order, null]) {
+    const group = orderedRows.filter((row) => (statuses[row.lotteryStatus] ? row.lotteryStatus : null) === status);
+    group.forEach((row, index) => {
+      rows.push(row);
+      dividers.push(index === 0 && status ? statuses[status].divider : '');
+    });
+  }
+  return { rows, dividers };
+}
+
+function renderRows(rows, payload, trends = new Map()) {
   desktopBodyEl.innerHTML = '';
   mobileCardsEl.innerHTML = '';
 
@@ -330,7 +1438,7 @@ function renderRows(rows, payload) {
     return;
   }
 
-  const orderedRows = [...rows].sort((a, b) => {
+  const rankedRows = [...rows].sort((a, b) => {
     const aRank = Number(a?.rank);
     const bRank = Number(b?.rank);
 
@@ -343,53 +1451,219 @@ function renderRows(rows, payload) {
 
     return 0;
   });
-  const notableGamesByTeam = buildNotableGamesByTeam(payload?.todaySchedule, orderedRows);
+  const { rows: orderedRows, dividers } = groupByLotteryStatus(applyTableView(rankedRows, tableView), tableView);
+  const { notableTeamCount } = leagueSettings();
+  const notableGamesByTeam = buildNotableGamesByTeam(orderedRows);
 
   const desktopHtml = orderedRows
     .map((row, index) => {
-      const rank = escapeHtml(String(index + 1));
-      const teamName = escapeHtml(resolveTeamDisplay(row));
+      const rankHtml = buildRankHtml(row, rankedRows.indexOf(row));
+      const teamName = escapeHtml(row.teamDisplay);
       const recordLine = buildRecordLineHtml(row);
+      const lotteryLine = buildLotteryLineHtml(row);
+      const seedLine = buildLotteryStatusHtml(row);
+      const trendLine = buildTrendLineHtml(row, trends);
+      const pickLine = buildPickOwnershipHtml(row);
+      const prospectsLine = buildProspectsHtml(row);
+      const sosLine = buildScheduleStrengthHtml(row);
       const opponents = escapeHtml(row.opponentsText || 'None');
-      const showNotable = index < NOTABLE_TEAM_COUNT;
+      const showNotable = rankedRows.indexOf(row) < notableTeamCount;
       const notableGames = showNotable ? notableGamesByTeam.get(String(row?.team || '').trim()) || [] : [];
-      const notableGamesHtml = showNotable ? buildNotableGamesHtml(notableGames) : '';
-      return `<tr><td class="team"><div class="team-main"><span class="team-rank">${rank}.</span><div class="team-copy"><span class="team-name">${teamName}</span><div class="team-record">${recordLine}</div></div></div></td><td class="opponents"><div class="opponents-text">${opponents}</div>${notableGamesHtml}</td></tr>`;
+      const notableGamesHtml = showNotable ? buildNotableGamesHtml(notableGames, row.calendarPath, row.teamId) : '';
+      const scheduleHtml = buildFullScheduleHtml(row);
+      const rowClass = String(row?.teamId || '') === favoriteTeamId ? ' class="favorite"' : '';
+      const dividerHtml = dividers[index] ? `<tr class="lottery-divider"><td colspan="2">${escapeHtml(dividers[index])}</td></tr>` : '';
+      return `${dividerHtml}<tr${rowClass}><td class="team"><div class="team-main">${rankHtml}<div class="team-copy"><span class="team-name">${teamName}</span><div class="team-record">${recordLine}</div>${seedLine}${lotteryLine}${sosLine}${pickLine}${prospectsLine}${trendLine}</div></div></td><td class="opponents"><div class="opponents-text">${opponents}</div>${notableGamesHtml}${scheduleHtml}</td></tr>`;
     })
     .join('');
 
   const mobileHtml = orderedRows
     .map((row, index) => {
-      const rank = escapeHtml(String(index + 1));
-      const teamName = escapeHtml(resolveTeamDisplay(row));
+      const rankHtml = buildRankHtml(row, rankedRows.indexOf(row));
+      const teamName = escapeHtml(row.teamDisplay);
       const recordLine = buildRecordLineHtml(row);
+      const lotteryLine = buildLotteryLineHtml(row);
+      const seedLine = buildLotteryStatusHtml(row);
+      const trendLine = buildTrendLineHtml(row, trends);
+      const pickLine = buildPickOwnershipHtml(row);
+      const prospectsLine = buildProspectsHtml(row);
+      const sosLine = buildScheduleStrengthHtml(row);
       const opponents = escapeHtml(row.opponentsText || 'None');
-      const showNotable = index < NOTABLE_TEAM_COUNT;
+      const showNotable = rankedRows.indexOf(row) < notableTeamCount;
       const notableGames = showNotable ? notableGamesByTeam.get(String(row?.team || '').trim()) || [] : [];
-      const notableGamesHtml = showNotable ? buildNotableGamesHtml(notableGames) : '';
-      return `<article class="card"><div class="team"><div class="team-main"><span class="team-rank">${rank}.</span><div class="team-copy"><span class="team-name">${teamName}</span><div class="team-record">${recordLine}</div><div class="opponents"><div class="opponents-text">${opponents}</div>${notableGamesHtml}</div></div></div></div></article>`;
+      const notableGamesHtml = showNotable ? buildNotableGamesHtml(notableGames, row.calendarPath, row.teamId) : '';
+      const scheduleHtml = buildFullScheduleHtml(row);
+      const cardClass = String(row?.teamId || '') === favoriteTeamId ? 'card favorite' : 'card';
+      const dividerHtml = dividers[index] ? `<p class="lottery-divider">${escapeHtml(dividers[index])}</p>` : '';
+      return `${dividerHtml}<article class="${cardClass}"><div class="team"><div class="team-main">${rankHtml}<div class="team-copy"><span class="team-name">${teamName}</span><div class="team-record">${recordLine}</div>${seedLine}${lotteryLine}${sosLine}${pickLine}${prospectsLine}${trendLine}<div class="opponents"><div class="opponents-text">${opponents}</div>${notableGamesHtml}${scheduleHtml}</div></div></div></div></article>`;
     })
     .join('');
 
-  desktopBodyEl.innerHTML = desktopHtml;
-  mobileCardsEl.innerHTML = mobileHtml;
+  const emptyText = 'No teams match these filters.';
+  desktopBodyEl.innerHTML = desktopHtml || `<tr><td colspan="2" class="table-empty">${emptyText}</td></tr>`;
+  mobileCardsEl.innerHTML = mobileHtml || `<p class="table-empty">${emptyText}</p>`;
   showStatus(formatLoadStatus(rows.length, payload.generatedAt, payload.refreshStatus));
 }
 
+// Seasons are named by the year they end, so a build from the league's start
+// month on belongs to the next one. A season within one calendar year is that year.
+function currentSeasonYear(generatedAt, startMonth) {
+  const date = new Date(generatedAt || Date.now());
+  const year = date.getUTCFullYear();
+  return startMonth > 1 && date.getUTCMonth() + 1 >= startMonth ? year + 1 : year;
+}
+
+async function loadSeasonSummaries(currentSeason) {
+  try {
+    const response = await fetch(`./${currentLeague.seasons}?t=${Date.now()}`, { cache: 'no-store' });
+    if (!response.ok) return [];
+    const index = await response.json();
+    const entries = (Array.isArray(index?.seasons) ? index.seasons : [])
+      .filter((entry) => Number(entry?.season) < currentSeason && entry?.summary)
+      .sort((a, b) => b.season - a.season)
+      .slice(0, COMPARISON_SEASON_LIMIT);
+    const summaries = await Promise.all(
+      entries.map(async (entry) => {
+        try {
+          const summaryResponse = await fetch(new URL(entry.summary, leagueDataUrl()));
+          return summaryResponse.ok ? await summaryResponse.json() : null;
+        } catch {
+          return null;
+        }
+      })
+    );
+    return summaries.filter((summary) => Array.isArray(summary?.teams));
+  } catch {
+    return [];
+  }
+}
+
+// The slot-th worst record (0 = worst) among teams that had played this many games.
+function findWorstThrough(summary, games, slot) {
+  const records = summary.teams
+    .filter((team) => String(team.results || '').length >= games)
+    .map((team) => {
+      const wins = [...team.results.slice(0, games)].filter((result) => result === 'W').length;
+      return { team: team.team, wins, losses: games - wins };
+    })
+    .sort((a, b) => a.wins - b.wins || a.team.localeCompare(b.team));
+  return records[slot] || null;
+}
+
+function renderYearOverYear(rows) {
+  const current = [...rows]
+    .sort((a, b) => Number(a.rank) - Number(b.rank))
+    .map((row) => {
+      const match = /^(\d+)-(\d+)$/.exec(resolveRecordText(row));
+      return match ? { row, wins: Number(match[1]), games: Number(match[1]) + Number(match[2]) } : null;
+    })
+    .filter((item) => item && item.games > 0)
+    .slice(0, COMPARISON_SLOTS);
+
+  yoyPanelEl.hidden = !seasonSummaries.length || !current.length;
+  if (yoyPanelEl.hidden) return;
+
+  const headerHtml = ['', 'This season', ...seasonSummaries.map((summary) => summary.label || String(summary.season))]
+    .map((label) => `<span class="yoy-head">${escapeHtml(label)}</span>`)
+    .join('');
+
+  const rowsHtml = current
+    .map(({ row, wins, games }, slot) => {
+      const place = slot === 0 ? 'Worst' : `${slot + 1}${ordinalSuffix(slot + 1)} worst`;
+      const labelHtml = `<span class="yoy-label">${escapeHtml(`${place} through ${games} games`)}</span>`;
+      const currentHtml = `<span class="yoy-cell current">${escapeHtml(shortTeamName(row.team))} ${escapeHtml(resolveRecordText(row))}</span>`;
+      const pastHtml = seasonSummaries
+        .map((summary) => {
+          const past = findWorstThrough(summary, games, slot);
+          if (!past) return '<span class="yoy-cell empty">&ndash;</span>';
+          const comparison = past.wins > wins ? 'worse-now' : past.wins < wins ? 'better-now' : '';
+          return `<span class="${['yoy-cell', comparison].filter(Boolean).join(' ')}">${escapeHtml(shortTeamName(past.team))} ${past.wins}-${past.losses}</span>`;
+        })
+        .join('');
+      return `${labelHtml}${currentHtml}${pastHtml}`;
+    })
+    .join('');
+
+  yoyGridEl.style.gridTemplateColumns = `auto repeat(${seasonSummaries.length + 1}, minmax(110px, 1fr))`;
+  yoyGridEl.innerHTML = `${headerHtml}${rowsHtml}`;
+}
+
+// A traded pick is listed under the team that holds the slot, with where it is headed.
+function renderProspects(prospectBoard, rows = []) {
+  const prospects = Array.isArray(prospectBoard?.prospects) ? prospectBoard.prospects : [];
+  prospectsPanelEl.hidden = !prospects.length;
+  if (!prospects.length) return;
+
+  const rowsById = new Map(rows.map((row) => [String(row?.teamId || ''), row]));
+  const updatedAt = prospectBoard.updatedAt ? new Date(prospectBoard.updatedAt) : null;
+  const boardName = prospectBoard.draftYear ? `${prospectBoard.draftYear} big board` : 'Big board';
+  prospectsNoteEl.textContent =
+    updatedAt && !Number.isNaN(updatedAt.getTime()) ? `${boardName} updated ${updatedAt.toLocaleDateString()}.` : `${boardName}.`;
+
+  prospectsListEl.innerHTML = prospects
+    .map((prospect) => {
+      const details = [prospect.position, prospect.school].filter(Boolean).join(' · ');
+      const teams = Array.isArray(prospect.teams) ? prospect.teams : [];
+      const teamsHtml = teams.length
+        ? teams
+            .map((team) => {
+              const conveysTo = String(rowsById.get(team.teamId)?.pickOwnership?.conveysTo || '').trim();
+              const viaText = conveysTo && conveysTo !== team.team ? ` (to ${shortTeamName(conveysTo)})` : '';
+              const favoriteClass = favoriteTeamId && team.teamId === favoriteTeamId ? ' favorite' : '';
+              return `<span class="prospect-team${favoriteClass}" title="${escapeHtml(team.team)}">${escapeHtml(
+                `${shortTeamName(team.team)} ${Number(team.pct).toFixed(1)}%${viaText}`
+              )}</span>`;
+            })
+            .join('')
+        : '<span class="prospect-team empty">No tracked team projects here</span>';
+      return `<li class="prospect"><span class="prospect-rank">${escapeHtml(prospect.rank)}</span><div class="prospect-copy"><span class="prospect-name">${escapeHtml(
+        prospect.name
+      )}</span>${details ? `<span class="prospect-meta">${escapeHtml(details)}</span>` : ''}<div class="prospect-teams">${teamsHtml}</div></div></li>`;
+    })
+    .join('');
+}
+
+async function loadHistoryIndex() {
+  try {
+    const response = await fetch(`./${currentLeague.history}?t=${Date.now()}`, { cache: 'no-store' });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
 async function loadData() {
   showStatus('Loading data...');
 
   try {
-    const response = await fetch(`${DATA_URL}?t=${Date.now()}`, { cache: 'no-store' });
+    const historyRequest = loadHistoryIndex();
+    const response = await fetch(`./${currentLeague.data}?t=${Date.now()}`, { cache: 'no-store' });
     if (!response.ok) {
       throw new Error(`Data request failed with ${response.status}`);
     }
 
-    const payload = await response.json();
+    const payload = migratePayload(await response.json());
     const rows = Array.isArray(payload.rows) ? payload.rows : [];
-
-    renderTodaySchedule(payload.todaySchedule, rows);
-    renderRows(rows, payload);
+    const trends = buildTeamTrends(await historyRequest, payload);
+    currentPayload = payload;
+    currentTrends = trends;
+    favoriteTeamId = String(findFavoriteRow(rows, favoriteTeamRef)?.teamId || '');
+
+    renderLeagueText();
+    renderFavoritePicker(rows);
+    renderFavoriteHeader(rows);
+    renderCalendarLink(rows);
+    renderLastNight(payload.lastNight);
+    renderTodaySchedule(payload.todaySchedule, rows, payload.generatedAt);
+    renderRows(rows, payload, trends);
+    renderSeasonCalendar(payload.seasonSchedule, rows, payload.generatedAt);
+    renderHeadToHead(payload.headToHead, rows);
+    renderProspects(payload.prospectBoard, rows);
+    seasonSummaries = await loadSeasonSummaries(
+      payload.season ?? currentSeasonYear(payload.generatedAt, leagueSettings(payload).seasonStartMonth)
+    );
+    renderYearOverYear(rows);
   } catch (error) {
     showStatus(`Unable to load data: ${error.message}`, true);
     todayListEl.innerHTML = '<p class="today-empty">Unable to load schedule.</p>';
@@ -400,11 +1674,118 @@ async function registerServiceWorker() {
   if (!('serviceWorker' in navigator)) return;
 
   try {
-    await navigator.serviceWorker.register('./sw.js?v=10', { scope: './' });
+    await navigator.serviceWorker.register('./sw.js?v=12', { scope: './' });
   } catch (error) {
     console.warn('Service worker registration failed', error);
   }
 }
 
+favoriteSelectEl?.addEventListener('change', () => {
+  if (!currentPayload) return;
+
+  const rows = Array.isArray(currentPayload.rows) ? currentPayload.rows : [];
+  const favorite = rows.find((row) => String(row?.teamId || '') === favoriteSelectEl.value) || null;
+  favoriteTeamId = favorite ? String(favorite.teamId) : '';
+  favoriteTeamRef = favorite ? favorite.team : '';
+  storeFavorite(favoriteTeamRef);
+  writeFavoriteToUrl(favorite ? teamSlug(favorite.team) : '');
+
+  renderFavoriteHeader(rows);
+  renderCalendarLink(rows);
+  renderLastNight(currentPayload.lastNight);
+  renderTodaySchedule(currentPayload.todaySchedule, rows, currentPayload.generatedAt);
+  renderRows(rows, currentPayload, currentTrends);
+  renderSeasonCalendar(currentPayload.seasonSchedule, rows, currentPayload.generatedAt);
+  renderHeadToHead(currentPayload.headToHead, rows);
+  renderProspects(currentPayload.prospectBoard, rows);
+});
+
+// Each league has its own teams and calendar, so the per-payload view state starts over.
+leagueSelectEl?.addEventListener('change', () => {
+  const league = leagues.find((item) => item.id === leagueSelectEl.value);
+  if (!league || league.id === currentLeague.id) return;
+
+  currentLeague = league;
+  storeLeague(league.id);
+  writeLeagueToUrl(league.id);
+  currentPayload = null;
+  currentTrends = new Map();
+  selectedMatchup = null;
+  seasonView = { month: '', date: '' };
+  seasonSummaries = [];
+  openSchedules.clear();
+  favoriteTeamRef = readStoredFavorite();
+  favoriteTeamId = '';
+  loadData();
+});
+
+timeZoneSelectEl?.addEventListener('change', () => {
+  timeZonePreference = isValidTimeZone(timeZoneSelectEl.value) ? timeZoneSelectEl.value : '';
+  storeTimeZone(timeZonePreference);
+  renderTimeZonePicker();
+  if (!currentPayload) return;
+
+  const rows = Array.isArray(currentPayload.rows) ? currentPayload.rows : [];
+  renderTodaySchedule(currentPayload.todaySchedule, rows, currentPayload.generatedAt);
+  renderRows(rows, currentPayload, currentTrends);
+  renderSeasonCalendar(currentPayload.seasonSchedule, rows, currentPayload.generatedAt);
+  renderHeadToHead(currentPayload.headToHead, rows);
+});
+
+h2hMatrixEl?.addEventListener('click', (event) => {
+  const cell = event.target.closest('button.matrix-cell');
+  if (!cell || !currentPayload?.headToHead) return;
+
+  selectedMatchup = { row: Number(cell.dataset.row), col: Number(cell.dataset.col) };
+  renderHeadToHead(currentPayload.headToHead, Array.isArray(currentPayload.rows) ? currentPayload.rows : []);
+});
+
+seasonPrevEl?.addEventListener('click', () => updateSeasonView({ month: addMonthsToKey(seasonView.month, -1) }));
+seasonNextEl?.addEventListener('click', () => updateSeasonView({ month: addMonthsToKey(seasonView.month, 1) }));
+seasonJumpEl?.addEventListener('change', () => {
+  const date = seasonJumpEl.value;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date)) updateSeasonView({ date, month: date.slice(0, 7) });
+});
+seasonGridEl?.addEventListener('click', (event) => {
+  const cell = event.target.closest('button.season-day');
+  if (cell) updateSeasonView({ date: cell.dataset.date });
+});
+
+// toggle does not bubble, so listen in the capture phase on both layouts.
+for (const container of [desktopBodyEl, mobileCardsEl]) {
+  container?.addEventListener(
+    'toggle',
+    (event) => {
+      const details = event.target;
+      if (!details.classList?.contains('full-schedule')) return;
+      if (details.open) openSchedules.add(details.dataset.teamId);
+      else openSchedules.delete(details.dataset.teamId);
+    },
+    true
+  );
+}
+
+function updateTableView(changes) {
+  tableView = { ...tableView, ...changes };
+  writeTableViewToUrl(tableView);
+  renderTableControls(tableView);
+  if (currentPayload) renderRows(Array.isArray(currentPayload.rows) ? currentPayload.rows : [], currentPayload, currentTrends);
+}
+
+sortKeyEl?.addEventListener('change', () => {
+  const sort = TABLE_SORTS[sortKeyEl.value] ? sortKeyEl.value : DEFAULT_TABLE_VIEW.sort;
+  updateTableView({ sort, dir: TABLE_SORTS[sort].dir });
+});
+sortDirEl?.addEventListener('click', () => updateTableView({ dir: tableView.dir === 'asc' ? 'desc' : 'asc' }));
+conferenceFilterEl?.addEventListener('change', () => updateTableView({ conference: conferenceFilterEl.value }));
+notableFilterEl?.addEventListener('change', () => updateTableView({ notableWeek: notableFilterEl.checked }));
+
+timeZonePreference = readStoredTimeZone();
+renderTimeZonePicker();
+tableView = readTableViewFromUrl();
+renderTableControls(tableView);
 registerServiceWorker();
-loadData();
+initLeague().then(() => {
+  initFavoriteTeam();
+  loadData();
+});
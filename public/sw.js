@@ -1,4 +1,4 @@
-const CACHE_NAME = 'race-to-tank-v10';
+const CACHE_NAME = 'race-to-tank-v13';
 const STATIC_ASSETS = [
   './',
   './index.html',
@@ -12,6 +12,7 @@ const STATIC_ASSETS = [
   './assets/icons/icon-512-maskable-v4.png',
   './assets/icons/apple-touch-icon-v4.png',
   './data/latest.json',
+  './data/leagues.json',
 ];
 
 function cachePut(cache, request, response) {
@@ -44,7 +45,7 @@ self.addEventListener('fetch', (event) => {
   const url = new URL(request.url);
   if (url.origin !== self.location.origin) return;
 
-  const isLatestData = url.pathname.endsWith('/data/latest.json');
+  const isData = url.pathname.includes('/data/') && url.pathname.endsWith('.json');
   const isAppShell =
     request.mode === 'navigate' ||
     url.pathname.endsWith('/index.html') ||
@@ -52,7 +53,7 @@ self.addEventListener('fetch', (event) => {
     url.pathname.endsWith('/manifest.webmanifest') ||
     url.pathname.endsWith('/sw.js');
 
-  if (isLatestData) {
+  if (isData) {
     const canonicalDataRequest = new Request(`${url.origin}${url.pathname}`);
     event.respondWith(
       fetch(request)
@@ -65,7 +66,7 @@ self.addEventListener('fetch', (event) => {
           const cache = await caches.open(CACHE_NAME);
           const cached = await cache.match(canonicalDataRequest);
           if (cached) return cached;
-          throw new Error('No cached latest.json available.');
+          throw new Error(`No cached data available for ${url.pathname}`);
         })
     );
     return;
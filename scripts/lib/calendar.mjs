@@ -0,0 +1,89 @@
+import { CALENDAR_ALL_FILE, CALENDAR_EVENT_MINUTES, CALENDAR_TEAMS_DIR, SITE_URL } from './config.mjs';
+import { leagueDirectory } from './leagues.mjs';
+import { currentLeague } from './runtime.mjs';
+
+// ESPN names teams "Portland Trail Blazers" and the NBA CDN "Trail Blazers". The
+// last word is unique across the league, so feed URLs survive a provider switch.
+export function teamCalendarSlug(teamName) {
+  const words = String(teamName || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map((word) => word.replace(/[^a-z0-9]/g, ''))
+    .filter(Boolean);
+  return words[words.length - 1] || null;
+}
+
+export function teamCalendarPath(teamName, league = currentLeague()) {
+  const slug = teamCalendarSlug(teamName);
+  return slug ? `calendar/${leagueDirectory(league)}${CALENDAR_TEAMS_DIR}/${slug}.ics` : null;
+}
+
+export function allGamesCalendarPath(league = currentLeague()) {
+  return `calendar/${leagueDirectory(league)}${CALENDAR_ALL_FILE}`;
+}
+
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 caps content lines at 75 octets; longer ones continue on lines that start with a space.
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = chunks.length ? 74 : 75;
+    if (size + charSize > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function buildEventLines(game, stamp, league) {
+  const start = new Date(game.tipoffUtc);
+  const end = new Date(start.getTime() + CALENDAR_EVENT_MINUTES * 60 * 1000);
+  return [
+    'BEGIN:VEVENT',
+    `UID:${leagueDirectory(league).replace('/', '-')}${game.gameId}@${new URL(SITE_URL).hostname}`,
+    `DTSTAMP:${formatIcsDate(stamp)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(`${game.away.team} at ${game.home.team}`)}`,
+    `DESCRIPTION:${escapeIcsText(`Tank battle: both teams are in the bottom ${league.notableTeamCount} of the draft order.`)}`,
+    `URL:${SITE_URL}`,
+    'END:VEVENT',
+  ];
+}
+
+// Builds an iCalendar feed from notable game objects; repeated game IDs are listed once.
+export function buildCalendar(name, games, generatedAt, league = currentLeague()) {
+  const stamp = new Date(generatedAt);
+  const unique = [...new Map(games.map((game) => [game.gameId, game])).values()].sort(
+    (a, b) => a.tipoffUtc.localeCompare(b.tipoffUtc) || a.gameId.localeCompare(b.gameId)
+  );
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Race 2 Tank//Tank games//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    'X-PUBLISHED-TTL:PT12H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    ...unique.flatMap((game) => buildEventLines(game, stamp, league)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
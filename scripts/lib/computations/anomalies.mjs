@@ -0,0 +1,103 @@
+import { ANOMALY_REMAINING_DROP_TOLERANCE } from '../config.mjs';
+import { currentLeague } from '../runtime.mjs';
+import { matchesTeamRef } from '../utils.mjs';
+import { seasonOfDate } from './season.mjs';
+
+function formatGames(count) {
+  return `${count} game${count === 1 ? '' : 's'}`;
+}
+
+function parseRecord(record) {
+  const match = /^(\d+)-(\d+)$/.exec(String(record || ''));
+  return match ? { wins: Number(match[1]), losses: Number(match[2]) } : null;
+}
+
+function describeRecordChange(previousRow, nextRow) {
+  const before = parseRecord(previousRow.record);
+  const after = parseRecord(nextRow.record);
+  if (!before || !after) return [];
+
+  const anomalies = [];
+  const team = { teamId: nextRow.teamId, team: nextRow.team };
+  const playedBefore = before.wins + before.losses;
+  const playedAfter = after.wins + after.losses;
+
+  if (playedAfter < playedBefore) {
+    anomalies.push({
+      type: 'games-played-dropped',
+      ...team,
+      detail: `${nextRow.team} has ${formatGames(playedAfter)} played, down from ${playedBefore}.`,
+    });
+  } else if (after.wins < before.wins || after.losses < before.losses) {
+    anomalies.push({
+      type: 'record-backwards',
+      ...team,
+      detail: `${nextRow.team} went from ${previousRow.record} to ${nextRow.record}.`,
+    });
+  }
+
+  // Remaining games should only fall by the games played since (plus slack for reschedules).
+  const remainingBefore = previousRow.strengthOfSchedule?.gamesRemaining;
+  const remainingAfter = nextRow.strengthOfSchedule?.gamesRemaining;
+  if (Number.isInteger(remainingBefore) && Number.isInteger(remainingAfter)) {
+    const expectedDrop = Math.max(0, playedAfter - playedBefore);
+    const drop = remainingBefore - remainingAfter;
+    if (drop > expectedDrop + ANOMALY_REMAINING_DROP_TOLERANCE) {
+      anomalies.push({
+        type: 'remaining-games-dropped',
+        ...team,
+        detail: `${nextRow.team} has ${formatGames(remainingAfter)} remaining, down from ${remainingBefore} after ${expectedDrop} played.`,
+      });
+    }
+  }
+
+  return anomalies;
+}
+
+// Payloads from before the season field fall back to their build date.
+function payloadSeason(payload) {
+  if (Number.isInteger(payload.season)) return payload.season;
+  const generatedAt = new Date(payload.generatedAt);
+  if (Number.isNaN(generatedAt.getTime())) return null;
+  return seasonOfDate(generatedAt, payload.league?.seasonStartMonth ?? currentLeague().seasonStartMonth);
+}
+
+// Compares a freshly built payload with the cached one and lists anything that
+// looks like a partial or broken upstream response rather than real movement.
+export function detectPayloadAnomalies(previous, next) {
+  if (!previous || !Array.isArray(previous.rows) || !previous.rows.length) return [];
+  // Records restart with a new season, so there is nothing to compare across one.
+  const previousSeason = payloadSeason(previous);
+  if (previousSeason !== null && previousSeason !== payloadSeason(next)) return [];
+
+  const anomalies = [];
+
+  if (next.rows.length < previous.rows.length) {
+    anomalies.push({
+      type: 'rows-dropped',
+      teamId: null,
+      team: null,
+      detail: `Only ${next.rows.length} teams ranked, down from ${previous.rows.length}.`,
+    });
+  }
+
+  for (const nextRow of next.rows) {
+    const previousRow = previous.rows.find((row) => matchesTeamRef(row, { teamId: nextRow.teamId, team: nextRow.team }));
+    if (previousRow) anomalies.push(...describeRecordChange(previousRow, nextRow));
+  }
+
+  const previousDays = new Map((previous.todaySchedule?.days ?? []).map((day) => [day.dateEt, day]));
+  for (const day of next.todaySchedule.days) {
+    const previousGames = previousDays.get(day.dateEt)?.games ?? [];
+    if (!day.games.length && previousGames.length) {
+      anomalies.push({
+        type: 'schedule-day-empty',
+        teamId: null,
+        team: null,
+        detail: `No games on ${day.dateEt}; the previous build listed ${previousGames.length}.`,
+      });
+    }
+  }
+
+  return anomalies;
+}
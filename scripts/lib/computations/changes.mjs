@@ -0,0 +1,71 @@
+import { currentLeague } from '../runtime.mjs';
+import { dateKey, matchesTeamRef } from '../utils.mjs';
+
+function findTeamRow(rows, ref) {
+  return rows.find((row) => matchesTeamRef(row, { teamId: ref.teamId, team: ref.team })) || null;
+}
+
+// Tied teams share a label like "T-10" but are ordered by name inside the tie,
+// so the label is the team's place; its position within the tie is not.
+function placeLabel(row) {
+  return String(row.rankLabel || row.rank);
+}
+
+function describeRankChanges(previousRows, nextRows) {
+  const changes = [];
+  for (const row of nextRows) {
+    const before = findTeamRow(previousRows, row);
+    if (!before) {
+      changes.push(`${row.team} entered the race at #${placeLabel(row)}.`);
+    } else if (placeLabel(before) !== placeLabel(row)) {
+      changes.push(`${row.team} moved from #${placeLabel(before)} to #${placeLabel(row)}.`);
+    }
+  }
+
+  for (const before of previousRows) {
+    if (!findTeamRow(nextRows, before)) {
+      changes.push(`${before.team} dropped out of the bottom ${currentLeague().trackedTeamCount}.`);
+    }
+  }
+  return changes;
+}
+
+function describeStreakChanges(previousRows, nextRows) {
+  return nextRows
+    .map((row) => ({ row, before: findTeamRow(previousRows, row) }))
+    .filter(({ row, before }) => before && row.streak && before.streak && row.streak !== before.streak)
+    .map(({ row, before }) => `${row.team}: streak ${before.streak} to ${row.streak}.`);
+}
+
+function describeFinishedGames(previous, next) {
+  const seen = new Set((previous.lastNight?.games ?? []).map((game) => game.gameId));
+  return (next.lastNight?.games ?? [])
+    .filter((game) => !seen.has(game.gameId))
+    .map((game) => {
+      const label = game.tags.includes('tank-battle') ? 'Tank battle: ' : '';
+      return `${label}${game.winner.team} ${game.winner.score}, ${game.loser.team} ${game.loser.score}.`;
+    });
+}
+
+function describeNotableToday(next) {
+  const notableTeams = new Set(next.rows.filter((row) => row.rank <= currentLeague().notableTeamCount).map((row) => row.team));
+  const todayKey = dateKey(new Date(next.generatedAt), next.todaySchedule.timeZone);
+  const today = next.todaySchedule.days.find((day) => day.dateEt === todayKey);
+  return (today?.games ?? [])
+    .filter((game) => game.trackedTeams.length === 2 && game.trackedTeams.every((team) => notableTeams.has(team)))
+    .map((game) => `${game.matchup}.`);
+}
+
+// Summarizes what a refresh changed for readers of the feed. Today's notable
+// matchups are context only: a refresh that changed nothing else has no entry.
+export function describePayloadChanges(previous, next) {
+  const previousRows = Array.isArray(previous?.rows) ? previous.rows : [];
+  const changes = {
+    rankChanges: previousRows.length ? describeRankChanges(previousRows, next.rows) : [],
+    streakChanges: describeStreakChanges(previousRows, next.rows),
+    finishedGames: describeFinishedGames(previous ?? {}, next),
+    notableToday: describeNotableToday(next),
+  };
+  const changed = changes.rankChanges.length + changes.streakChanges.length + changes.finishedGames.length > 0;
+  return { changed, ...changes };
+}
@@ -0,0 +1,11 @@
+export * from './anomalies.mjs';
+export * from './changes.mjs';
+export * from './lottery.mjs';
+export * from './payload.mjs';
+export * from './pick-ownership.mjs';
+export * from './projection.mjs';
+export * from './prospects.mjs';
+export * from './reconciliation.mjs';
+export * from './results.mjs';
+export * from './rows.mjs';
+export * from './season.mjs';
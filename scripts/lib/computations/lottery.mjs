@@ -0,0 +1,93 @@
+import { currentLeague } from '../runtime.mjs';
+import { roundTo } from '../utils.mjs';
+
+// maxJump caps how far a lottery winner can climb: a slot only wins a pick if
+// it sits at most maxJump places below it. When an ineligible slot is drawn,
+// the pick goes to the worst team not yet drawn instead.
+export function computeLotteryPickDistribution(combinations, drawCount = currentLeague().lottery.drawCount, { maxJump = null } = {}) {
+  const slotCount = combinations.length;
+  const distribution = combinations.map(() => new Array(slotCount).fill(0));
+  const totalCombinations = combinations.reduce((sum, n) => sum + n, 0);
+
+  // Walks every ordered sequence of lottery winners; teams that are not drawn
+  // keep their pre-lottery order behind the drawn picks.
+  function visit(drawn, probability, remainingCombinations) {
+    if (drawn.length === drawCount || remainingCombinations <= 0) {
+      const drawnSet = new Set(drawn);
+      drawn.forEach((slot, pickIndex) => {
+        distribution[slot][pickIndex] += probability;
+      });
+
+      let pickIndex = drawn.length;
+      for (let slot = 0; slot < slotCount; slot += 1) {
+        if (drawnSet.has(slot)) continue;
+        distribution[slot][pickIndex] += probability;
+        pickIndex += 1;
+      }
+      return;
+    }
+
+    const worstUndrawn = combinations.findIndex((_, slot) => !drawn.includes(slot));
+    for (let slot = 0; slot < slotCount; slot += 1) {
+      const slotCombinations = combinations[slot];
+      if (slotCombinations <= 0 || drawn.includes(slot)) continue;
+      const eligible = maxJump === null || slot - drawn.length <= maxJump;
+      visit(
+        [...drawn, eligible ? slot : worstUndrawn],
+        (probability * slotCombinations) / remainingCombinations,
+        remainingCombinations - (eligible ? slotCombinations : combinations[worstUndrawn])
+      );
+    }
+  }
+
+  visit([], 1, totalCombinations);
+  return distribution;
+}
+
+export function applyLotteryOdds(rows, lottery = currentLeague().lottery) {
+  // A tie at the lottery cutoff pulls in slots past the last row; those carry no combinations.
+  const slotCount = rows.reduce((max, row) => Math.max(max, row.tie?.rankEnd ?? 0), rows.length);
+  const combinations = Array.from({ length: slotCount }, (_, index) => lottery.combinations[index] ?? 0);
+
+  const tiedGroups = new Map();
+  for (const row of rows) {
+    if (!row.tie) continue;
+    const slots = [];
+    for (let rank = row.tie.rankStart; rank <= row.tie.rankEnd; rank += 1) slots.push(rank - 1);
+    tiedGroups.set(row.tie.rankStart, slots);
+  }
+
+  // Tied teams split their combined combinations evenly (the league gives any
+  // odd combination to the coin-flip winner); the coin flip that orders them
+  // is modeled by averaging the pick distributions of their slots.
+  for (const group of tiedGroups.values()) {
+    const shared = group.reduce((sum, index) => sum + combinations[index], 0) / group.length;
+    for (const index of group) combinations[index] = shared;
+  }
+
+  const distribution = computeLotteryPickDistribution(combinations, lottery.drawCount, { maxJump: lottery.maxJump });
+
+  for (const group of tiedGroups.values()) {
+    const averaged = distribution[group[0]].map(
+      (_, pickIndex) => group.reduce((sum, index) => sum + distribution[index][pickIndex], 0) / group.length
+    );
+    for (const index of group) distribution[index] = averaged;
+  }
+
+  return rows.map((row, index) => {
+    const pickOdds = distribution[index];
+    const lotteryPicks = pickOdds.slice(0, lottery.drawCount).reduce((sum, p) => sum + p, 0);
+    const expectedPick = pickOdds.reduce((sum, p, pickIndex) => sum + p * (pickIndex + 1), 0);
+
+    return {
+      ...row,
+      lotteryOdds: {
+        combinations: roundTo(combinations[index], 1),
+        firstPickPct: roundTo(pickOdds[0] * 100, 1),
+        lotteryPickPct: roundTo(lotteryPicks * 100, 1),
+        expectedPick: roundTo(expectedPick, 2),
+        pickPcts: pickOdds.slice(0, rows.length).map((p) => roundTo(p * 100, 1)),
+      },
+    };
+  });
+}
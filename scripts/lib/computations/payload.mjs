@@ -0,0 +1,94 @@
+import { PAYLOAD_SCHEMA_VERSION } from '../config.mjs';
+import { currentLeague, currentTime } from '../runtime.mjs';
+import { applyLotteryOdds } from './lottery.mjs';
+import { applyPickOwnership } from './pick-ownership.mjs';
+import { applyProjections, simulateRemainingSeason } from './projection.mjs';
+import { applyProspects, buildProspectBoard } from './prospects.mjs';
+import { buildLastNightResults } from './results.mjs';
+import { buildHeadToHead, buildRows, buildSeasonSchedule, buildUpcomingSchedule } from './rows.mjs';
+import { scheduleSeason } from './season.mjs';
+
+export function buildLivePayload({
+  rows,
+  season,
+  lastNight,
+  todaySchedule,
+  seasonSchedule,
+  headToHead,
+  projection,
+  provider,
+  dataSources,
+  reconciliation = null,
+  prospectBoard = null,
+}) {
+  const generatedAt = currentTime().toISOString();
+  const league = currentLeague();
+  return {
+    schemaVersion: PAYLOAD_SCHEMA_VERSION,
+    app: 'Race to the Tank',
+    league: {
+      id: league.id,
+      name: league.name,
+      trackedTeamCount: league.trackedTeamCount,
+      notableTeamCount: league.notableTeamCount,
+      lotteryDrawCount: league.lottery.drawCount,
+      playInSeeds: league.playoffs.playInSeeds,
+      seasonStartMonth: league.seasonStartMonth,
+    },
+    season,
+    generatedAt,
+    dataSources,
+    refreshStatus: {
+      source: 'live',
+      provider,
+      attemptedAt: generatedAt,
+    },
+    projection,
+    ...(reconciliation ? { reconciliation } : {}),
+    lastNight,
+    todaySchedule,
+    seasonSchedule,
+    headToHead,
+    ...(prospectBoard ? { prospectBoard } : {}),
+    rows,
+  };
+}
+
+export function buildPayloadFromData({
+  standings,
+  games,
+  simulationTeams,
+  pickOwnership,
+  prospects = null,
+  provider,
+  dataSources,
+  reconciliation = null,
+}) {
+  const bottomTeams = standings.slice(0, currentLeague().trackedTeamCount);
+  const projection = simulateRemainingSeason(simulationTeams, games, { allTeams: standings });
+  const rows = applyProspects(
+    applyPickOwnership(
+      applyProjections(applyLotteryOdds(buildRows(bottomTeams, games, standings)), projection.byTeam),
+      pickOwnership
+    ),
+    prospects
+  );
+  const todaySchedule = buildUpcomingSchedule(bottomTeams, games);
+  const seasonSchedule = buildSeasonSchedule(bottomTeams, games, currentTime());
+  const lastNight = buildLastNightResults(standings, games);
+  const headToHead = buildHeadToHead(bottomTeams, games);
+
+  return buildLivePayload({
+    rows,
+    season: scheduleSeason(games),
+    lastNight,
+    todaySchedule,
+    seasonSchedule,
+    headToHead,
+    projection: projection.summary,
+    provider,
+    dataSources,
+    reconciliation,
+    prospectBoard: buildProspectBoard(rows, prospects),
+  });
+}
@@ -0,0 +1,131 @@
+import { PICK_OWNERSHIP_VERSION } from '../config.mjs';
+import { matchesTeamRef, roundTo } from '../utils.mjs';
+import { leaguePickDistribution, projectedPickPcts } from './prospects.mjs';
+
+export function validatePickOwnership(data) {
+  if (!data || typeof data !== 'object') throw new Error('Pick ownership file must be a JSON object.');
+  if (data.version !== PICK_OWNERSHIP_VERSION) {
+    throw new Error(`Unsupported pick ownership version ${data.version}; expected ${PICK_OWNERSHIP_VERSION}.`);
+  }
+
+  const picks = Array.isArray(data.picks) ? data.picks : [];
+  const swaps = Array.isArray(data.swaps) ? data.swaps : [];
+
+  picks.forEach((pick, index) => {
+    if (!pick?.team || !pick?.owedTo) throw new Error(`Pick ownership entry ${index} needs "team" and "owedTo".`);
+    const protection = pick.protection;
+    if (protection && (protection.type !== 'top' || !Number.isInteger(protection.value) || protection.value < 1)) {
+      throw new Error(`Pick ownership entry ${index} has an invalid protection; use { "type": "top", "value": <n> }.`);
+    }
+  });
+
+  swaps.forEach((swap, index) => {
+    if (!swap?.holder || !swap?.with) throw new Error(`Pick swap entry ${index} needs "holder" and "with".`);
+  });
+
+  return { ...data, picks, swaps };
+}
+
+// The chance the pick lands inside the protection, from the team's projected
+// finish run through the lottery (or its current odds without a projection).
+function protectionKeepPct(pickPcts, protection) {
+  if (!pickPcts.length) return null;
+  return roundTo(
+    pickPcts.slice(0, protection.value).reduce((sum, pct) => sum + pct, 0),
+    1
+  );
+}
+
+export function applyPickOwnership(rows, ownership) {
+  if (!ownership) return rows.map((row) => ({ ...row, pickOwnership: null }));
+
+  const distribution = leaguePickDistribution();
+  const resolved = new Map();
+  for (const row of rows) {
+    const entry = ownership.picks.find((pick) => matchesTeamRef(row, { teamId: pick.teamId, team: pick.team }));
+    if (!entry) continue;
+
+    const keepPct = entry.protection ? protectionKeepPct(projectedPickPcts(row, distribution), entry.protection) : null;
+    // A protection triggers when the pick is more likely than not to land inside it.
+    const protection = entry.protection
+      ? {
+          type: 'top',
+          value: entry.protection.value,
+          label: `top-${entry.protection.value} protected`,
+          triggered: keepPct === null ? row.rank <= entry.protection.value : keepPct >= 50,
+          keepPct,
+        }
+      : null;
+    const keptBy = entry.ifProtected || row.team;
+
+    resolved.set(row.teamId, {
+      originalTeam: row.team,
+      owner: entry.owedTo,
+      protection,
+      swap: null,
+      conveysTo: protection?.triggered ? keptBy : entry.owedTo,
+      note: entry.note || null,
+    });
+  }
+
+  // The holder of a swap right takes the better (lower) of the two slots; the
+  // other side receives whatever the holder's pick would have conveyed. A team
+  // missing from the rows picks after every tracked slot and keeps its own pick.
+  for (const swap of ownership.swaps) {
+    const holderRow = rows.find((row) => matchesTeamRef(row, { teamId: swap.holderTeamId, team: swap.holder }));
+    const otherRow = rows.find((row) => matchesTeamRef(row, { teamId: swap.withTeamId, team: swap.with }));
+    if (!holderRow && !otherRow) continue;
+
+    const holder = holderRow?.team ?? swap.holder;
+    const other = otherRow?.team ?? swap.with;
+    const executes = (otherRow?.rank ?? Infinity) < (holderRow?.rank ?? Infinity);
+    const [holderPick, otherPick] = [
+      [holderRow, holder],
+      [otherRow, other],
+    ].map(([row, team]) => {
+      if (!row) return { conveysTo: team };
+      const current = resolved.get(row.teamId) || {
+        originalTeam: row.team,
+        owner: row.team,
+        protection: null,
+        swap: null,
+        conveysTo: row.team,
+        note: null,
+      };
+      const pick = { ...current, swap: { holder, with: other, executes } };
+      resolved.set(row.teamId, pick);
+      return pick;
+    });
+
+    if (executes) {
+      const holderDestination = holderPick.conveysTo;
+      holderPick.conveysTo = otherPick.conveysTo;
+      otherPick.conveysTo = holderDestination;
+    }
+  }
+
+  return rows.map((row) => {
+    const pick = resolved.get(row.teamId);
+    if (!pick) return { ...row, pickOwnership: null };
+
+    const parts = [];
+    if (pick.owner !== row.team) {
+      parts.push(`Pick owed to ${pick.owner}${pick.protection ? ` (${pick.protection.label})` : ''}`);
+    }
+    if (pick.swap) {
+      parts.push(
+        pick.swap.holder === row.team
+          ? `Can swap with ${pick.swap.with}`
+          : `${pick.swap.holder} can swap into this pick`
+      );
+    }
+
+    return {
+      ...row,
+      pickOwnership: {
+        ...pick,
+        summary: parts.join('. ') || null,
+      },
+    };
+  });
+}
@@ -0,0 +1,168 @@
+import { SIMULATION_HOME_EDGE, SIMULATION_ITERATIONS } from '../config.mjs';
+import { currentLeague, currentTime } from '../runtime.mjs';
+import { recordWinPct } from '../tiebreaks.mjs';
+import { hashString, roundTo } from '../utils.mjs';
+
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function estimateTeamStrength(team) {
+  const winPct = recordWinPct(team) ?? 0.5;
+  const lastTen = /^(\d+)-(\d+)$/.exec(String(team?.last10 || ''));
+  const lastTenGames = lastTen ? Number(lastTen[1]) + Number(lastTen[2]) : 0;
+  const recentPct = lastTenGames > 0 ? Number(lastTen[1]) / lastTenGames : winPct;
+
+  // Clamped so no team is treated as a guaranteed win or loss.
+  return Math.min(0.9, Math.max(0.1, 0.75 * winPct + 0.25 * recentPct));
+}
+
+function homeWinProbability(homeStrength, awayStrength) {
+  const home = homeStrength * (1 - awayStrength);
+  const away = awayStrength * (1 - homeStrength);
+  const log5 = home + away > 0 ? home / (home + away) : 0.5;
+  return Math.min(0.97, Math.max(0.03, log5 + SIMULATION_HOME_EDGE));
+}
+
+function winsPercentile(histogram, iterations, fraction) {
+  const target = Math.max(1, Math.ceil(iterations * fraction));
+  let seen = 0;
+  for (let wins = 0; wins < histogram.length; wins += 1) {
+    seen += histogram[wins];
+    if (seen >= target) return wins;
+  }
+  return histogram.length - 1;
+}
+
+// teams is the simulated pool. allTeams (the full standings) supplies the
+// strength of opponents outside the pool.
+export function simulateRemainingSeason(
+  teams,
+  games,
+  {
+    allTeams = teams,
+    now = currentTime(),
+    iterations = SIMULATION_ITERATIONS,
+    slotCount = currentLeague().trackedTeamCount,
+    standingsPoints = currentLeague().standingsPoints,
+  } = {}
+) {
+  const indexById = new Map(teams.map((team, index) => [team.teamId, index]));
+  const strengths = new Map([...allTeams, ...teams].map((team) => [team.teamId, estimateTeamStrength(team)]));
+
+  const matchups = [];
+  for (const game of games) {
+    const { homeTeamId, awayTeamId, isFinal, date } = game;
+    if (isFinal || (date && date < now)) continue;
+
+    const home = indexById.get(homeTeamId) ?? -1;
+    const away = indexById.get(awayTeamId) ?? -1;
+    if (home < 0 && away < 0) continue;
+
+    matchups.push({
+      gameId: game.gameId,
+      home,
+      away,
+      homeWinProbability: homeWinProbability(strengths.get(homeTeamId) ?? 0.5, strengths.get(awayTeamId) ?? 0.5),
+    });
+  }
+  matchups.sort((a, b) => a.gameId.localeCompare(b.gameId));
+
+  const seedSource = JSON.stringify({
+    iterations,
+    slotCount,
+    teams: teams.map((team) => [team.teamId, team.wins, team.losses, team.last10, ...(standingsPoints ? [team.otLosses ?? 0] : [])]),
+    matchups: matchups.map((m) => m.gameId),
+  });
+  const seed = hashString(seedSource);
+  const random = createSeededRandom(seed);
+
+  const baseWins = teams.map((team) => team.wins ?? 0);
+  const baseLosses = teams.map((team) => team.losses ?? 0);
+  const baseOtLosses = teams.map((team) => team.otLosses ?? 0);
+  const remainingCounts = teams.map(() => 0);
+  for (const { home, away } of matchups) {
+    if (home >= 0) remainingCounts[home] += 1;
+    if (away >= 0) remainingCounts[away] += 1;
+  }
+
+  const winHistograms = teams.map((_, index) => new Array(baseWins[index] + remainingCounts[index] + 1).fill(0));
+  const slotCounts = teams.map(() => new Array(slotCount).fill(0));
+  const order = teams.map((_, index) => index);
+
+  for (let iteration = 0; iteration < iterations; iteration += 1) {
+    const wins = baseWins.slice();
+    const losses = baseLosses.slice();
+    const otLosses = baseOtLosses.slice();
+
+    for (const { home, away, homeWinProbability: p } of matchups) {
+      const homeWon = random() < p;
+      const overtime = standingsPoints ? random() < standingsPoints.overtimeShare : false;
+      const loser = homeWon ? away : home;
+      if (home >= 0) {
+        if (homeWon) wins[home] += 1;
+        else losses[home] += 1;
+      }
+      if (away >= 0) {
+        if (homeWon) losses[away] += 1;
+        else wins[away] += 1;
+      }
+      if (overtime && loser >= 0) otLosses[loser] += 1;
+    }
+
+    // Equal final records are settled by a coin flip, as in the real draft order.
+    // Points leagues rank by points, and more games played is worse on equal points.
+    const played = wins.map((w, index) => w + losses[index]);
+    const compareRecords = standingsPoints
+      ? (a, b) => 2 * wins[a] + otLosses[a] - (2 * wins[b] + otLosses[b]) || played[b] - played[a]
+      : (a, b) => (played[a] ? wins[a] / played[a] : 0) - (played[b] ? wins[b] / played[b] : 0);
+    const coinFlips = teams.map(() => random());
+    order.sort((a, b) => compareRecords(a, b) || coinFlips[a] - coinFlips[b]);
+
+    for (let index = 0; index < teams.length; index += 1) winHistograms[index][wins[index]] += 1;
+    for (let slot = 0; slot < Math.min(slotCount, order.length); slot += 1) slotCounts[order[slot]][slot] += 1;
+  }
+
+  const byTeam = new Map(
+    teams.map((team, index) => {
+      const histogram = winHistograms[index];
+      const totalWins = histogram.reduce((sum, count, w) => sum + count * w, 0);
+
+      return [
+        team.teamId,
+        {
+          gamesRemaining: remainingCounts[index],
+          winsLow: winsPercentile(histogram, iterations, 0.1),
+          winsMedian: winsPercentile(histogram, iterations, 0.5),
+          winsHigh: winsPercentile(histogram, iterations, 0.9),
+          winsMean: roundTo(totalWins / iterations, 1),
+          slotPcts: slotCounts[index].map((count) => roundTo((count / iterations) * 100, 1)),
+        },
+      ];
+    })
+  );
+
+  return {
+    summary: {
+      iterations,
+      seed,
+      gamesSimulated: matchups.length,
+      teamsSimulated: teams.length,
+    },
+    byTeam,
+  };
+}
+
+export function applyProjections(rows, projectionsByTeam) {
+  return rows.map((row) => ({
+    ...row,
+    projection: projectionsByTeam.get(row.teamId) || null,
+  }));
+}
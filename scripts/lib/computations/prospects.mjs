@@ -0,0 +1,117 @@
+import { PROSPECT_RANGE_COVERAGE_PCT, PROSPECT_TEAM_LIMIT, PROSPECTS_VERSION } from '../config.mjs';
+import { currentLeague } from '../runtime.mjs';
+import { roundTo } from '../utils.mjs';
+import { computeLotteryPickDistribution } from './lottery.mjs';
+
+function optionalText(value) {
+  const text = String(value ?? '').trim();
+  return text || null;
+}
+
+export function validateProspects(data) {
+  if (!data || typeof data !== 'object') throw new Error('Prospects file must be a JSON object.');
+  if (data.version !== PROSPECTS_VERSION) {
+    throw new Error(`Unsupported prospects version ${data.version}; expected ${PROSPECTS_VERSION}.`);
+  }
+
+  const entries = Array.isArray(data.prospects) ? data.prospects : [];
+  const ranks = new Set();
+  entries.forEach((prospect, index) => {
+    if (!Number.isInteger(prospect?.rank) || prospect.rank < 1) {
+      throw new Error(`Prospect entry ${index} needs a whole-number "rank" of 1 or more.`);
+    }
+    if (!optionalText(prospect.name)) throw new Error(`Prospect entry ${index} needs a "name".`);
+    if (ranks.has(prospect.rank)) throw new Error(`Prospect rank ${prospect.rank} is used more than once.`);
+    ranks.add(prospect.rank);
+  });
+
+  const prospects = entries
+    .map((prospect) => ({
+      rank: prospect.rank,
+      name: optionalText(prospect.name),
+      position: optionalText(prospect.position),
+      school: optionalText(prospect.school),
+    }))
+    .sort((a, b) => a.rank - b.rank);
+
+  return { ...data, prospects };
+}
+
+export function leaguePickDistribution() {
+  const { trackedTeamCount, lottery } = currentLeague();
+  const combinations = Array.from({ length: trackedTeamCount }, (_, index) => lottery.combinations[index] ?? 0);
+  return computeLotteryPickDistribution(combinations, lottery.drawCount, { maxJump: lottery.maxJump });
+}
+
+// A team's chance at each pick (in percent) runs its projected finishing slots
+// through the lottery. Without a projection it falls back to the odds at its
+// current slot. Chances of finishing outside the race land on no pick here.
+export function projectedPickPcts(row, distribution = leaguePickDistribution()) {
+  const slotPcts = row.projection?.slotPcts;
+  if (!Array.isArray(slotPcts)) return row.lotteryOdds?.pickPcts ?? [];
+
+  return distribution.map((_, pickIndex) =>
+    slotPcts.reduce((sum, pct, slot) => sum + pct * (distribution[slot]?.[pickIndex] ?? 0), 0)
+  );
+}
+
+// The middle band of picks holding coveragePct of the odds, trimming an equal
+// share off each end. A team that may still leave the race runs to the last pick.
+export function likelyPickRange(pickPcts, coveragePct = PROSPECT_RANGE_COVERAGE_PCT) {
+  const tail = (100 - coveragePct) / 2;
+  let cumulative = 0;
+  let from = null;
+  let to = null;
+
+  pickPcts.forEach((pct, index) => {
+    cumulative += pct;
+    if (from === null && cumulative > tail) from = index + 1;
+    if (to === null && cumulative >= 100 - tail) to = index + 1;
+  });
+
+  if (from === null) return null;
+  return { from, to: to ?? pickPcts.length };
+}
+
+// The board's order stands in for the draft order, so the players ranked inside
+// a team's likely pick range are the ones it would likely take.
+export function applyProspects(rows, prospects) {
+  if (!prospects) return rows.map((row) => ({ ...row, prospects: null }));
+
+  const distribution = leaguePickDistribution();
+  return rows.map((row) => {
+    const pickRange = likelyPickRange(projectedPickPcts(row, distribution));
+    const players = pickRange
+      ? prospects.prospects.filter((prospect) => prospect.rank >= pickRange.from && prospect.rank <= pickRange.to)
+      : [];
+    return { ...row, prospects: players.length ? { pickRange, players } : null };
+  });
+}
+
+// For each player ranked within the tracked picks, the teams likeliest to hold
+// the pick matching that rank.
+export function buildProspectBoard(rows, prospects) {
+  if (!prospects) return null;
+
+  const distribution = leaguePickDistribution();
+  const pickPctsByTeam = rows.map((row) => projectedPickPcts(row, distribution));
+
+  return {
+    draftYear: Number.isInteger(prospects.draftYear) ? prospects.draftYear : null,
+    updatedAt: optionalText(prospects.updatedAt),
+    prospects: prospects.prospects
+      .filter((prospect) => prospect.rank <= distribution.length)
+      .map((prospect) => ({
+        ...prospect,
+        teams: rows
+          .map((row, index) => ({
+            teamId: row.teamId,
+            team: row.team,
+            pct: roundTo(pickPctsByTeam[index][prospect.rank - 1] ?? 0, 1),
+          }))
+          .filter((team) => team.pct > 0)
+          .sort((a, b) => b.pct - a.pct || a.team.localeCompare(b.team))
+          .slice(0, PROSPECT_TEAM_LIMIT),
+      })),
+  };
+}
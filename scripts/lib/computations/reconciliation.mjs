@@ -0,0 +1,166 @@
+import { currentTime } from '../runtime.mjs';
+import { annotateDraftTies, compareDraftOrder } from '../tiebreaks.mjs';
+import { teamNameKey, teamNamesMatch } from '../utils.mjs';
+
+// When sources disagree and are equally fresh, the league's own feed wins.
+const SOURCE_PRIORITY = ['nba', 'espn'];
+
+function sourceRank(name) {
+  const index = SOURCE_PRIORITY.indexOf(name);
+  return index === -1 ? SOURCE_PRIORITY.length : index;
+}
+
+function gamesPlayed(team) {
+  return (team?.wins ?? 0) + (team?.losses ?? 0);
+}
+
+// ESPN names teams "Utah Jazz" and the NBA CDN "Jazz", so a nickname matches a
+// full name that ends with it.
+function findCounterpart(team, candidates) {
+  const key = teamNameKey(team.teamName);
+  if (!key) return null;
+  return (
+    candidates.find((candidate) => teamNameKey(candidate.teamName) === key) ||
+    candidates.find((candidate) => teamNamesMatch(candidate.teamName, team.teamName)) ||
+    null
+  );
+}
+
+function countRemainingGames(games, teamId, now) {
+  return games.filter(
+    (game) => !game.isFinal && game.date && game.date >= now && (game.homeTeamId === teamId || game.awayTeamId === teamId)
+  ).length;
+}
+
+// Picks one value from candidates of { source, value, freshness }: a strict
+// majority if there is one, otherwise the freshest source, otherwise priority.
+export function resolveValue(candidates) {
+  const present = candidates.filter((candidate) => candidate.value !== null && candidate.value !== undefined);
+  if (!present.length) return null;
+
+  const distinct = new Set(present.map((candidate) => candidate.value));
+  if (distinct.size === 1) return { value: present[0].value, source: null, method: 'agreed' };
+
+  const tally = new Map();
+  for (const candidate of present) tally.set(candidate.value, (tally.get(candidate.value) ?? 0) + 1);
+  const [topValue, topCount] = [...tally.entries()].sort((a, b) => b[1] - a[1])[0];
+  if (topCount > present.length / 2) {
+    return { value: topValue, source: present.find((candidate) => candidate.value === topValue).source, method: 'majority' };
+  }
+
+  const ordered = [...present].sort((a, b) => b.freshness - a.freshness || sourceRank(a.source) - sourceRank(b.source));
+  const method = ordered[0].freshness > ordered[1].freshness ? 'freshness' : 'priority';
+  return { value: ordered[0].value, source: ordered[0].source, method };
+}
+
+// Merges provider data keyed to the first (base) provider's team IDs. Each
+// source is { provider, standings, games, simulationTeams, scheduleTeamIds }
+// where scheduleTeamIds lists the teams whose full schedule the source holds.
+export function reconcileProviders(sources, now = currentTime()) {
+  const [base, ...others] = sources;
+  const matches = base.standings.map((team) => ({
+    team,
+    counterparts: others.map((source) => ({ source, team: findCounterpart(team, source.standings) })),
+  }));
+
+  const matchedTeamCount = others.length
+    ? matches.filter((match) => match.counterparts.every((counterpart) => counterpart.team)).length
+    : 0;
+
+  // The schedule comes from whichever source is furthest along overall.
+  const totalsBySource = sources.map((source, sourceIndex) => ({
+    source,
+    total: matches.reduce((sum, match) => {
+      const team = sourceIndex === 0 ? match.team : match.counterparts[sourceIndex - 1].team;
+      return sum + gamesPlayed(team);
+    }, 0),
+  }));
+  const scheduleSource = [...totalsBySource].sort(
+    (a, b) => b.total - a.total || sourceRank(a.source.provider) - sourceRank(b.source.provider)
+  )[0].source;
+
+  const discrepancies = [];
+  const resolvedStandings = matches.map(({ team, counterparts }) => {
+    const views = [
+      { source: base, team },
+      ...counterparts.filter((counterpart) => counterpart.team),
+    ];
+
+    const candidatesFor = (field) =>
+      views.map(({ source, team: view }) => ({
+        source: source.provider,
+        freshness: gamesPlayed(view),
+        value:
+          field === 'gamesRemaining'
+            ? source.scheduleTeamIds.has(view.teamId)
+              ? countRemainingGames(source.games, view.teamId, now)
+              : null
+            : view[field],
+      }));
+
+    const resolved = {};
+    for (const field of ['wins', 'losses', 'gamesRemaining']) {
+      const candidates = candidatesFor(field);
+      const result = resolveValue(candidates);
+      resolved[field] = result?.value ?? null;
+      if (result && result.method !== 'agreed') {
+        discrepancies.push({
+          teamId: team.teamId,
+          team: team.teamName,
+          field,
+          values: Object.fromEntries(
+            candidates.filter((candidate) => candidate.value !== null).map((candidate) => [candidate.source, candidate.value])
+          ),
+          chosen: result.value,
+          chosenSource: result.source,
+          method: result.method,
+        });
+      }
+    }
+
+    if (resolved.wins === team.wins && resolved.losses === team.losses) return team;
+    const wins = resolved.wins ?? team.wins;
+    const losses = resolved.losses ?? team.losses;
+    return { ...team, wins, losses, winPct: wins + losses > 0 ? wins / (wins + losses) : team.winPct };
+  });
+
+  const standings = annotateDraftTies(resolvedStandings.sort(compareDraftOrder));
+
+  let games = scheduleSource.games;
+  let simulationTeamIds = new Set(scheduleSource.simulationTeams.map((team) => team.teamId));
+  if (scheduleSource !== base) {
+    // Re-key the other feed's games to the base provider's IDs and names.
+    const toBase = new Map();
+    for (const { team, counterparts } of matches) {
+      const counterpart = counterparts.find((entry) => entry.source === scheduleSource)?.team;
+      if (counterpart) toBase.set(counterpart.teamId, team);
+    }
+    games = games.map((game) => {
+      const home = toBase.get(game.homeTeamId);
+      const away = toBase.get(game.awayTeamId);
+      return {
+        ...game,
+        homeTeamId: home?.teamId ?? game.homeTeamId,
+        awayTeamId: away?.teamId ?? game.awayTeamId,
+        homeTeamName: home?.teamName ?? game.homeTeamName,
+        awayTeamName: away?.teamName ?? game.awayTeamName,
+      };
+    });
+    simulationTeamIds = new Set([...simulationTeamIds].map((teamId) => toBase.get(teamId)?.teamId ?? teamId));
+  }
+
+  return {
+    standings,
+    games,
+    simulationTeams: standings.filter((team) => simulationTeamIds.has(team.teamId)),
+    scheduleSource: scheduleSource.provider,
+    report: {
+      providers: sources.map((source) => source.provider),
+      failedProviders: [],
+      scheduleSource: scheduleSource.provider,
+      teamsMatched: matchedTeamCount,
+      unmatchedTeams: others.length ? base.standings.length - matchedTeamCount : 0,
+      discrepancies,
+    },
+  };
+}
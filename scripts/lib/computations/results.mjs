@@ -0,0 +1,95 @@
+import { LAST_NIGHT_WINDOW_HOURS } from '../config.mjs';
+import { currentLeague, currentTime } from '../runtime.mjs';
+import { annotateDraftTies, compareDraftOrder } from '../tiebreaks.mjs';
+
+// Draft position for every team; tied teams share the first slot of their tie.
+function draftRanks(standings) {
+  const ranked = annotateDraftTies([...standings].sort(compareDraftOrder));
+  return new Map(ranked.map((team, index) => [team.teamId, team.tie ? team.tie.rankStart : index + 1]));
+}
+
+// Points leagues also take back the overtime loss of a game that ran past regulation.
+function undoResults(standings, games, standingsPoints = currentLeague().standingsPoints) {
+  const winsTaken = new Map();
+  const lossesTaken = new Map();
+  const otLossesTaken = new Map();
+  for (const game of games) {
+    const homeWon = game.homeScore > game.awayScore;
+    const winnerId = homeWon ? game.homeTeamId : game.awayTeamId;
+    const loserId = homeWon ? game.awayTeamId : game.homeTeamId;
+    winsTaken.set(winnerId, (winsTaken.get(winnerId) ?? 0) + 1);
+    lossesTaken.set(loserId, (lossesTaken.get(loserId) ?? 0) + 1);
+    if (standingsPoints && game.periods > standingsPoints.regulationPeriods) {
+      otLossesTaken.set(loserId, (otLossesTaken.get(loserId) ?? 0) + 1);
+    }
+  }
+
+  return standings.map((team) => {
+    const wins = Math.max(0, (team.wins ?? 0) - (winsTaken.get(team.teamId) ?? 0));
+    const losses = Math.max(0, (team.losses ?? 0) - (lossesTaken.get(team.teamId) ?? 0));
+    const otLosses = Number.isInteger(team.otLosses)
+      ? { otLosses: Math.max(0, team.otLosses - (otLossesTaken.get(team.teamId) ?? 0)) }
+      : {};
+    return { ...team, wins, losses, ...otLosses, winPct: wins + losses > 0 ? wins / (wins + losses) : 0 };
+  });
+}
+
+// Finals from the last day involving a team in the bottom 14 before or after
+// those games, with each side's draft position before and after.
+export function buildLastNightResults(standings, games, now = currentTime()) {
+  const since = new Date(now.getTime() - LAST_NIGHT_WINDOW_HOURS * 60 * 60 * 1000);
+  const finals = games.filter(
+    (game) =>
+      game.isFinal &&
+      game.date &&
+      game.date >= since &&
+      game.date <= now &&
+      Number.isFinite(game.homeScore) &&
+      Number.isFinite(game.awayScore) &&
+      game.homeScore !== game.awayScore
+  );
+
+  const ranksAfter = draftRanks(standings);
+  const ranksBefore = draftRanks(undoResults(standings, finals));
+  const namesById = new Map(standings.map((team) => [team.teamId, team.teamName]));
+  const { trackedTeamCount, notableTeamCount } = currentLeague();
+  const isTracked = (teamId) => ranksBefore.get(teamId) <= trackedTeamCount || ranksAfter.get(teamId) <= trackedTeamCount;
+  const isNotable = (teamId) => ranksBefore.get(teamId) <= notableTeamCount;
+
+  const side = (teamId, fallbackName, score) => ({
+    teamId,
+    team: namesById.get(teamId) || fallbackName || teamId,
+    score,
+    tracked: isTracked(teamId),
+    rankBefore: ranksBefore.get(teamId) ?? null,
+    rankAfter: ranksAfter.get(teamId) ?? null,
+  });
+
+  const results = finals
+    .filter((game) => isTracked(game.homeTeamId) || isTracked(game.awayTeamId))
+    .sort((a, b) => a.date - b.date || a.gameId.localeCompare(b.gameId))
+    .map((game) => {
+      const home = side(game.homeTeamId, game.homeTeamName, game.homeScore);
+      const away = side(game.awayTeamId, game.awayTeamName, game.awayScore);
+      const [winner, loser] = game.homeScore > game.awayScore ? [home, away] : [away, home];
+
+      const tags = [];
+      if (isNotable(game.homeTeamId) && isNotable(game.awayTeamId)) tags.push('tank-battle');
+      if (winner.tracked) tags.push('tracked-win');
+
+      return {
+        gameId: game.gameId,
+        tipoffUtc: game.date.toISOString(),
+        matchup: `${away.team} at ${home.team}`,
+        winner,
+        loser,
+        tags,
+      };
+    });
+
+  return {
+    since: since.toISOString(),
+    until: now.toISOString(),
+    games: results,
+  };
+}
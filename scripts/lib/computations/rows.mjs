@@ -0,0 +1,371 @@
+import { teamCalendarPath } from '../calendar.mjs';
+import { SCHEDULE_DAYS_AFTER, SCHEDULE_DAYS_BEFORE } from '../config.mjs';
+import { currentLeague, currentTime } from '../runtime.mjs';
+import { compareDraftOrder, recordPoints, recordWinPct } from '../tiebreaks.mjs';
+import { dateKey, roundTo } from '../utils.mjs';
+
+export function findPlayoffTeamIds(standings, playoffs = currentLeague().playoffs) {
+  const byBest = [...standings].sort((a, b) => compareDraftOrder(b, a));
+  const hasConferences = standings.every((team) => team.conference);
+
+  if (playoffs.scope === 'league') {
+    return new Set(byBest.slice(0, playoffs.seeds).map((team) => team.teamId));
+  }
+  if (!hasConferences) {
+    return new Set(byBest.slice(0, playoffs.seeds * 2).map((team) => team.teamId));
+  }
+
+  const seeded = new Map();
+  const ids = new Set();
+  for (const team of byBest) {
+    const seed = (seeded.get(team.conference) ?? 0) + 1;
+    seeded.set(team.conference, seed);
+    if (seed <= playoffs.seeds) ids.add(team.teamId);
+  }
+  return ids;
+}
+
+// 'locked' teams sit below the play-in and are in the lottery whatever happens
+// there. 'play-in' teams reach it by losing in the play-in, and 'bubble' teams
+// hold a playoff seed despite a lottery-range record. The seed is per
+// conference or league-wide, following the league's playoff format.
+export function classifyLotteryStatus(seed, playoffs = currentLeague().playoffs) {
+  if (!Number.isInteger(seed)) return null;
+  if (seed > playoffs.seeds + playoffs.playInSeeds) return 'locked';
+  if (seed > playoffs.seeds) return 'play-in';
+  return 'bubble';
+}
+
+// Standings run worst first, so a team's league-wide seed counts from the end.
+function playoffSeed(team, standings, playoffs) {
+  if (playoffs.scope !== 'league') return team.conferenceRank;
+  const index = standings.findIndex((entry) => entry.teamId === team.teamId);
+  return index < 0 ? null : standings.length - index;
+}
+
+export function buildStrengthOfSchedule(bottomTeams, games, standings, now) {
+  const standingsById = new Map(standings.map((team) => [team.teamId, team]));
+  const playoffTeamIds = findPlayoffTeamIds(standings);
+  const bottomTeamIds = new Set(bottomTeams.map((team) => team.teamId));
+  const totals = new Map(
+    bottomTeams.map((team) => [
+      team.teamId,
+      { gamesRemaining: 0, home: 0, away: 0, opponentPctSum: 0, ratedGames: 0, vsPlayoffTeams: 0, vsBottomTeams: 0 },
+    ])
+  );
+
+  for (const game of games) {
+    const { homeTeamId, awayTeamId, isFinal, date } = game;
+    if (isFinal || (date && date < now)) continue;
+
+    for (const [teamId, opponentId, side] of [
+      [homeTeamId, awayTeamId, 'home'],
+      [awayTeamId, homeTeamId, 'away'],
+    ]) {
+      const total = totals.get(teamId);
+      if (!total) continue;
+
+      total.gamesRemaining += 1;
+      total[side] += 1;
+      if (playoffTeamIds.has(opponentId)) total.vsPlayoffTeams += 1;
+      if (bottomTeamIds.has(opponentId)) total.vsBottomTeams += 1;
+
+      const opponentPct = recordWinPct(standingsById.get(opponentId));
+      if (opponentPct !== null) {
+        total.opponentPctSum += opponentPct;
+        total.ratedGames += 1;
+      }
+    }
+  }
+
+  const byTeam = new Map(
+    [...totals.entries()].map(([teamId, total]) => [
+      teamId,
+      {
+        gamesRemaining: total.gamesRemaining,
+        home: total.home,
+        away: total.away,
+        opponentWinPct: total.ratedGames > 0 ? roundTo(total.opponentPctSum / total.ratedGames, 3) : null,
+        vsPlayoffTeams: total.vsPlayoffTeams,
+        vsBottomTeams: total.vsBottomTeams,
+        hardestRank: null,
+      },
+    ])
+  );
+
+  // 1 = toughest remaining schedule among the tracked teams.
+  [...byTeam.values()]
+    .filter((sos) => sos.opponentWinPct !== null)
+    .sort((a, b) => b.opponentWinPct - a.opponentWinPct)
+    .forEach((sos, index) => {
+      sos.hardestRank = index + 1;
+    });
+
+  return byTeam;
+}
+
+// Remaining games between each pair of tracked teams; games without a date yet still count.
+function countRemainingMatchups(bottomTeams, games, now) {
+  const teamIds = new Set(bottomTeams.map((t) => t.teamId));
+
+  const counts = new Map();
+  for (const team of bottomTeams) {
+    const row = new Map();
+    for (const opp of bottomTeams) {
+      if (team.teamId !== opp.teamId) row.set(opp.teamId, 0);
+    }
+    counts.set(team.teamId, row);
+  }
+
+  const remaining = [];
+  for (const game of games) {
+    const { homeTeamId, awayTeamId, isFinal, date } = game;
+    if (!teamIds.has(homeTeamId) || !teamIds.has(awayTeamId)) continue;
+
+    const isInFutureOrUnknown = !date || date >= now;
+    if (isFinal || !isInFutureOrUnknown) continue;
+
+    counts.get(homeTeamId).set(awayTeamId, (counts.get(homeTeamId).get(awayTeamId) ?? 0) + 1);
+    counts.get(awayTeamId).set(homeTeamId, (counts.get(awayTeamId).get(homeTeamId) ?? 0) + 1);
+    remaining.push(game);
+  }
+
+  return { counts, remaining };
+}
+
+// The full remaining-games matrix in rank order, plus the games behind it so a
+// cell can list dates. counts[i][j] is games left between teams i and j.
+export function buildHeadToHead(bottomTeams, games) {
+  const now = currentTime();
+  const { counts, remaining } = countRemainingMatchups(bottomTeams, games, now);
+
+  return {
+    teams: bottomTeams.map((team) => ({ teamId: team.teamId, team: team.teamName })),
+    counts: bottomTeams.map((team) => bottomTeams.map((opp) => counts.get(team.teamId).get(opp.teamId) ?? 0)),
+    games: remaining
+      .map((game) => ({
+        gameId: game.gameId,
+        tipoffUtc: game.date ? game.date.toISOString() : null,
+        homeTeamId: game.homeTeamId,
+        awayTeamId: game.awayTeamId,
+      }))
+      .sort((a, b) => (a.tipoffUtc ?? '~').localeCompare(b.tipoffUtc ?? '~') || a.gameId.localeCompare(b.gameId)),
+  };
+}
+
+export function buildRows(bottomTeams, games, standings = bottomTeams) {
+  const now = currentTime();
+  const { counts } = countRemainingMatchups(bottomTeams, games, now);
+
+  const names = new Map(bottomTeams.map((t) => [t.teamId, t.teamName]));
+  const remainingScheduleByTeam = buildRemainingSchedules(bottomTeams, games, standings, now);
+  const notableTankGamesByTeam = buildSeasonNotableTankGames(bottomTeams, games, now);
+  const strengthOfScheduleByTeam = buildStrengthOfSchedule(bottomTeams, games, standings, now);
+  const { playoffs } = currentLeague();
+
+  return bottomTeams.map((team, rankIndex) => {
+    const opponentCounts = [...(counts.get(team.teamId)?.entries() ?? [])]
+      .map(([oppId, n]) => ({
+        opponentTeamId: oppId,
+        opponentTeam: names.get(oppId) || oppId,
+        gamesRemaining: n,
+      }))
+      .sort((a, b) => a.opponentTeam.localeCompare(b.opponentTeam));
+
+    const remainingOnly = opponentCounts.filter((x) => x.gamesRemaining > 0);
+    const total = remainingOnly.reduce((sum, x) => sum + x.gamesRemaining, 0);
+
+    const rank = rankIndex + 1;
+
+    return {
+      rank,
+      rankLabel: team.tie ? `T-${team.tie.rankStart}` : String(rank),
+      tie: team.tie || null,
+      teamId: team.teamId,
+      team: team.teamName,
+      conference: team.conference || null,
+      conferenceRank: team.conferenceRank ?? null,
+      lotteryStatus: classifyLotteryStatus(playoffSeed(team, standings, playoffs), playoffs),
+      teamDisplay: `${team.teamName} (${total})`,
+      winPct: team.winPct,
+      record: team.wins !== null && team.losses !== null ? `${team.wins}-${team.losses}` : null,
+      ...(currentLeague().standingsPoints ? { points: recordPoints(team) } : {}),
+      streak: team.streak || null,
+      last10: team.last10 || null,
+      totalRemainingVsBottom12: total,
+      opponents: remainingOnly,
+      opponentsText: remainingOnly.map((x) => `${x.opponentTeam} (${x.gamesRemaining})`).join(', '),
+      notableTankGames: notableTankGamesByTeam.get(team.teamId) || [],
+      calendarPath: teamCalendarPath(team.teamName),
+      remainingSchedule: remainingScheduleByTeam.get(team.teamId) || [],
+      strengthOfSchedule: strengthOfScheduleByTeam.get(team.teamId) || null,
+    };
+  });
+}
+
+// Every game a tracked team has left, with the opponent's current record.
+export function buildRemainingSchedules(bottomTeams, games, standings, now) {
+  const standingsById = new Map(standings.map((team) => [team.teamId, team]));
+  const trackedIds = new Set(bottomTeams.map((team) => team.teamId));
+  const byTeam = new Map(bottomTeams.map((team) => [team.teamId, []]));
+
+  for (const game of games) {
+    const { homeTeamId, awayTeamId, isFinal, date } = game;
+    if (isFinal || (date && date < now)) continue;
+
+    for (const [teamId, opponentId, opponentName, home] of [
+      [homeTeamId, awayTeamId, game.awayTeamName, true],
+      [awayTeamId, homeTeamId, game.homeTeamName, false],
+    ]) {
+      const schedule = byTeam.get(teamId);
+      if (!schedule) continue;
+
+      const opponent = standingsById.get(opponentId);
+      const hasRecord = Number.isInteger(opponent?.wins) && Number.isInteger(opponent?.losses);
+      schedule.push({
+        gameId: game.gameId,
+        tipoffUtc: date ? date.toISOString() : null,
+        home,
+        opponentTeamId: opponentId,
+        opponentTeam: opponent?.teamName || opponentName || opponentId,
+        opponentRecord: hasRecord ? `${opponent.wins}-${opponent.losses}` : null,
+        opponentTracked: trackedIds.has(opponentId),
+      });
+    }
+  }
+
+  // Games without a date yet go last.
+  for (const schedule of byTeam.values()) {
+    schedule.sort((a, b) => (a.tipoffUtc ?? '~').localeCompare(b.tipoffUtc ?? '~') || a.gameId.localeCompare(b.gameId));
+  }
+  return byTeam;
+}
+
+function formatNotableGameDate(date, timeZone = 'America/New_York') {
+  return new Intl.DateTimeFormat('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone,
+  }).format(date);
+}
+
+export function buildSeasonNotableTankGames(bottomTeams, games, now) {
+  const bottomNine = bottomTeams.slice(0, currentLeague().notableTeamCount);
+  const bottomNineIds = new Set(bottomNine.map((team) => team.teamId));
+  const namesById = new Map(bottomTeams.map((team) => [team.teamId, team.teamName]));
+  const byTeam = new Map(bottomTeams.map((team) => [team.teamId, []]));
+
+  for (const game of games) {
+    const { homeTeamId, awayTeamId, isFinal, date } = game;
+    if (isFinal || !date || date < now) continue;
+    if (!bottomNineIds.has(homeTeamId) || !bottomNineIds.has(awayTeamId)) continue;
+
+    const homeTeamName = namesById.get(homeTeamId) || game.homeTeamName || homeTeamId;
+    const awayTeamName = namesById.get(awayTeamId) || game.awayTeamName || awayTeamId;
+    const dateLabel = formatNotableGameDate(date);
+    const shared = {
+      gameId: game.gameId,
+      tipoffUtc: date.toISOString(),
+      home: { teamId: homeTeamId, team: homeTeamName },
+      away: { teamId: awayTeamId, team: awayTeamName },
+    };
+
+    byTeam.get(homeTeamId)?.push({ ...shared, label: `${dateLabel}: vs. ${awayTeamName}` });
+    byTeam.get(awayTeamId)?.push({ ...shared, label: `${dateLabel}: at ${homeTeamName}` });
+  }
+
+  for (const entries of byTeam.values()) {
+    entries.sort((a, b) => a.tipoffUtc.localeCompare(b.tipoffUtc) || a.label.localeCompare(b.label));
+  }
+
+  return byTeam;
+}
+
+function trackedTeamNames(game, bottomTeamIds, namesById) {
+  const trackedTeams = [];
+  if (bottomTeamIds.has(game.awayTeamId)) trackedTeams.push(namesById.get(game.awayTeamId) || game.awayTeamName);
+  if (bottomTeamIds.has(game.homeTeamId)) trackedTeams.push(namesById.get(game.homeTeamId) || game.homeTeamName);
+  return trackedTeams;
+}
+
+export function buildUpcomingSchedule(bottomTeams, games) {
+  const easternTimeZone = 'America/New_York';
+  const today = currentTime();
+
+  const dayKeys = [];
+  for (let offset = -SCHEDULE_DAYS_BEFORE; offset <= SCHEDULE_DAYS_AFTER; offset += 1) {
+    const day = new Date(today.getTime() + offset * 24 * 60 * 60 * 1000);
+    dayKeys.push(dateKey(day, easternTimeZone));
+  }
+
+  const daySet = new Set(dayKeys);
+  const bottomTeamIds = new Set(bottomTeams.map((team) => team.teamId));
+  const bottomTeamNameById = new Map(bottomTeams.map((team) => [team.teamId, team.teamName]));
+
+  const dayGames = new Map(dayKeys.map((key) => [key, []]));
+
+  for (const game of games) {
+    if (!game.date) continue;
+    const gameDayKey = dateKey(game.date, easternTimeZone);
+    if (!daySet.has(gameDayKey)) continue;
+    if (!bottomTeamIds.has(game.homeTeamId) && !bottomTeamIds.has(game.awayTeamId)) continue;
+
+    dayGames.get(gameDayKey).push({
+      gameId: game.gameId,
+      matchup: `${game.awayTeamName} at ${game.homeTeamName}`,
+      tipoffUtc: game.date.toISOString(),
+      trackedTeams: trackedTeamNames(game, bottomTeamIds, bottomTeamNameById),
+      status: game.statusText,
+    });
+  }
+
+  for (const key of dayKeys) {
+    dayGames.get(key).sort((a, b) => new Date(a.tipoffUtc).getTime() - new Date(b.tipoffUtc).getTime());
+  }
+
+  return {
+    timeZone: easternTimeZone,
+    days: dayKeys.map((dateEt) => ({
+      dateEt,
+      games: dayGames.get(dateEt) || [],
+    })),
+  };
+}
+
+// Every game left for a bottom-14 team from today (Eastern) on, grouped by
+// Eastern date. Only dates with games are listed.
+export function buildSeasonSchedule(bottomTeams, games, now) {
+  const easternTimeZone = 'America/New_York';
+  const todayKey = dateKey(now, easternTimeZone);
+  const bottomTeamIds = new Set(bottomTeams.map((team) => team.teamId));
+  const bottomNineIds = new Set(bottomTeams.slice(0, currentLeague().notableTeamCount).map((team) => team.teamId));
+  const namesById = new Map(bottomTeams.map((team) => [team.teamId, team.teamName]));
+  const dayGames = new Map();
+
+  for (const game of games) {
+    const { homeTeamId, awayTeamId, isFinal, date } = game;
+    if (isFinal || !date) continue;
+    if (!bottomTeamIds.has(homeTeamId) && !bottomTeamIds.has(awayTeamId)) continue;
+
+    const gameDayKey = dateKey(date, easternTimeZone);
+    if (gameDayKey < todayKey) continue;
+
+    if (!dayGames.has(gameDayKey)) dayGames.set(gameDayKey, []);
+    dayGames.get(gameDayKey).push({
+      gameId: game.gameId,
+      matchup: `${game.awayTeamName} at ${game.homeTeamName}`,
+      tipoffUtc: date.toISOString(),
+      trackedTeams: trackedTeamNames(game, bottomTeamIds, namesById),
+      tankBattle: bottomNineIds.has(homeTeamId) && bottomNineIds.has(awayTeamId),
+    });
+  }
+
+  const days = [...dayGames.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([dateEt, dayList]) => ({
+      dateEt,
+      games: dayList.sort((a, b) => a.tipoffUtc.localeCompare(b.tipoffUtc) || a.matchup.localeCompare(b.matchup)),
+    }));
+
+  return { timeZone: easternTimeZone, days };
+}
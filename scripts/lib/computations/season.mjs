@@ -0,0 +1,114 @@
+import { currentLeague, currentTime } from '../runtime.mjs';
+import { annotateConferenceRanks, annotateDraftTies, compareDraftOrder } from '../tiebreaks.mjs';
+
+// ESPN and the draft both name a season by the year it ends: 2025 is 2024-25.
+// Leagues that play within one calendar year just use the year.
+export function seasonLabel(season, league = currentLeague()) {
+  if (league.seasonStartMonth === 1) return String(season);
+  return `${season - 1}-${String(season % 100).padStart(2, '0')}`;
+}
+
+// The season a date falls in, named the same way.
+export function seasonOfDate(date, startMonth = currentLeague().seasonStartMonth) {
+  const year = date.getUTCFullYear();
+  return startMonth > 1 && date.getUTCMonth() + 1 >= startMonth ? year + 1 : year;
+}
+
+// The schedule's first game names the season it covers; without games the clock decides.
+export function scheduleSeason(games, now = currentTime()) {
+  const first = games.reduce((earliest, game) => (game.date && (!earliest || game.date < earliest) ? game.date : earliest), null);
+  return seasonOfDate(first ?? now);
+}
+
+function isPlayedBefore(game, asOf) {
+  return game.isFinal && game.date && game.date < asOf && Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore);
+}
+
+// Each team's W/L sequence, oldest first, from the finals before asOf.
+function resultSequences(games, asOf) {
+  const finals = games.filter((game) => isPlayedBefore(game, asOf)).sort((a, b) => a.date - b.date);
+  const byTeam = new Map();
+  const push = (teamId, result) => {
+    if (!byTeam.has(teamId)) byTeam.set(teamId, []);
+    byTeam.get(teamId).push(result);
+  };
+
+  for (const game of finals) {
+    const homeWon = game.homeScore > game.awayScore;
+    push(game.homeTeamId, homeWon ? 'W' : 'L');
+    push(game.awayTeamId, homeWon ? 'L' : 'W');
+  }
+  return byTeam;
+}
+
+function streakOf(results) {
+  const last = results[results.length - 1];
+  if (!last) return null;
+  let length = 0;
+  for (let index = results.length - 1; index >= 0 && results[index] === last; index -= 1) length += 1;
+  return `${last}${length}`;
+}
+
+// Losses in games that ran past regulation, by team.
+function overtimeLossCounts(games, asOf, regulationPeriods) {
+  const counts = new Map();
+  for (const game of games) {
+    if (!isPlayedBefore(game, asOf) || !(game.periods > regulationPeriods)) continue;
+    const loserId = game.homeScore > game.awayScore ? game.awayTeamId : game.homeTeamId;
+    counts.set(loserId, (counts.get(loserId) ?? 0) + 1);
+  }
+  return counts;
+}
+
+// Rolls a season back to asOf: later games become unplayed, and records,
+// streaks, last 10 and conference seeds are rebuilt from the earlier finals.
+export function rewindSeason(standings, games, asOf) {
+  const rewoundGames = games.map((game) =>
+    isPlayedBefore(game, asOf) ? game : { ...game, isFinal: false, statusText: null, homeScore: null, awayScore: null }
+  );
+  const sequences = resultSequences(games, asOf);
+  const { standingsPoints } = currentLeague();
+  const overtimeLosses = standingsPoints ? overtimeLossCounts(games, asOf, standingsPoints.regulationPeriods) : null;
+
+  const rewoundStandings = standings.map((team) => {
+    const results = sequences.get(team.teamId) ?? [];
+    const wins = results.filter((result) => result === 'W').length;
+    const losses = results.length - wins;
+    const lastTen = results.slice(-10);
+    const lastTenWins = lastTen.filter((result) => result === 'W').length;
+    return {
+      ...team,
+      conferenceRank: null,
+      wins,
+      losses,
+      ...(overtimeLosses ? { otLosses: overtimeLosses.get(team.teamId) ?? 0 } : {}),
+      winPct: results.length ? wins / results.length : 0,
+      streak: streakOf(results),
+      last10: lastTen.length ? `${lastTenWins}-${lastTen.length - lastTenWins}` : null,
+    };
+  });
+
+  return {
+    standings: annotateDraftTies(annotateConferenceRanks(rewoundStandings).sort(compareDraftOrder)),
+    games: rewoundGames,
+  };
+}
+
+// The compact per-team results the year-over-year comparison reads, so the page
+// can find the worst records after any number of games without the full payload.
+export function buildSeasonSummary(season, standings, games, asOf) {
+  const sequences = resultSequences(games, asOf);
+  return {
+    season,
+    label: seasonLabel(season),
+    asOf: asOf.toISOString(),
+    teams: [...standings]
+      .sort((a, b) => a.teamName.localeCompare(b.teamName))
+      .map((team) => ({
+        teamId: team.teamId,
+        team: team.teamName,
+        conference: team.conference || null,
+        results: (sequences.get(team.teamId) ?? []).join(''),
+      })),
+  };
+}
@@ -0,0 +1,65 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const STANDINGS_URL = 'https://cdn.nba.com/static/json/liveData/standings/standings.json';
+export const SCHEDULE_URL = 'https://cdn.nba.com/static/json/staticData/scheduleLeagueV2.json';
+export const ESPN_STANDINGS_URL = 'https://site.api.espn.com/apis/v2/sports/basketball/nba/standings';
+export const ESPN_TEAM_SCHEDULE_BASE = 'https://site.api.espn.com/apis/site/v2/sports/basketball/nba/teams';
+export const BOTTOM_TEAM_COUNT = 14;
+// Games between two of the bottom nine are the ones flagged as notable tank games.
+export const NOTABLE_TEAM_COUNT = 9;
+// The schedule covers ET days from yesterday through three days out so the page can
+// regroup the next three days in any viewer time zone.
+export const SCHEDULE_DAYS_BEFORE = 1;
+export const SCHEDULE_DAYS_AFTER = 3;
+// Finals that tipped off within this window count as last night's results.
+export const LAST_NIGHT_WINDOW_HOURS = 24;
+// Lottery combinations (out of 1,000) by pre-lottery slot under the 2019 NBA format.
+export const LOTTERY_COMBINATIONS = [140, 140, 140, 125, 105, 90, 75, 60, 45, 30, 20, 15, 10, 5];
+export const LOTTERY_DRAW_COUNT = 4;
+// Teams past the bottom 14 whose schedules are also loaded so the projection can move them into the race.
+export const SIMULATION_POOL_COUNT = 20;
+export const SIMULATION_ITERATIONS = 10000;
+export const SIMULATION_HOME_EDGE = 0.03;
+// Seeds 1-6 in each conference count as playoff teams for strength of schedule.
+export const PLAYOFF_SEEDS_PER_CONFERENCE = 6;
+// Seeds 7-10 play in the play-in; its two losers per conference join seeds 11-15 in the lottery.
+export const PLAY_IN_SEEDS_PER_CONFERENCE = 4;
+export const FETCH_TIMEOUT_MS = 25000;
+export const FETCH_ATTEMPTS = 4;
+export const ESPN_FETCH_ATTEMPTS = 2;
+// Reschedules can drop a team's remaining games by a couple more than it played since the last build.
+export const ANOMALY_REMAINING_DROP_TOLERANCE = 2;
+
+export const OUTPUT_PATH = path.join(process.cwd(), 'public', 'data', 'latest.json');
+// The schema ships with the code, so it resolves from this file rather than the working directory.
+export const PAYLOAD_SCHEMA_PATH = fileURLToPath(new URL('../../public/data/latest.schema.json', import.meta.url));
+// Bump together with the const in latest.schema.json and add a migration to public/app.js.
+export const PAYLOAD_SCHEMA_VERSION = 3;
+export const HISTORY_DIR = path.join(process.cwd(), 'public', 'data', 'history');
+export const HISTORY_INDEX_PATH = path.join(HISTORY_DIR, 'index.json');
+export const HISTORY_TIME_ZONE = 'America/New_York';
+export const SEASONS_DIR = path.join(process.cwd(), 'public', 'data', 'seasons');
+export const SEASONS_INDEX_PATH = path.join(SEASONS_DIR, 'index.json');
+export const PICK_OWNERSHIP_PATH = path.join(process.cwd(), 'public', 'data', 'pick-ownership.json');
+export const PICK_OWNERSHIP_VERSION = 1;
+export const PROSPECTS_PATH = path.join(process.cwd(), 'public', 'data', 'prospects.json');
+export const PROSPECTS_VERSION = 1;
+// A team's likely pick range is the middle band holding this share of its pick odds.
+export const PROSPECT_RANGE_COVERAGE_PCT = 80;
+// The prospects view lists this many of the likeliest teams for each player.
+export const PROSPECT_TEAM_LIMIT = 3;
+export const RECORDING_SESSION_FILE = 'session.json';
+// A recording keeps the payload its build wrote, and a replay writes its own
+// payload to this directory inside the recording so the two can be compared.
+export const RECORDED_PAYLOAD_FILE = 'latest.json';
+export const REPLAY_OUTPUT_DIR = 'replay';
+export const SITE_URL = 'https://race2tank.com/';
+export const CALENDAR_DIR = path.join(process.cwd(), 'public', 'calendar');
+export const CALENDAR_ALL_FILE = 'tank-games.ics';
+export const CALENDAR_TEAMS_DIR = 'teams';
+// Calendar apps show a tank game as a block this long; NBA games run about two and a half hours.
+export const CALENDAR_EVENT_MINUTES = 150;
+export const FEED_PATH = path.join(process.cwd(), 'public', 'feed.xml');
+export const FEED_ENTRIES_PATH = path.join(process.cwd(), 'public', 'data', 'feed-entries.json');
+export const FEED_ENTRY_LIMIT = 50;
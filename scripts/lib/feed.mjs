@@ -0,0 +1,81 @@
+import { SITE_URL } from './config.mjs';
+import { DEFAULT_LEAGUE, leagueManifestEntry } from './leagues.mjs';
+import { currentLeague } from './runtime.mjs';
+
+const SECTIONS = [
+  ['rankChanges', 'Draft order'],
+  ['finishedGames', 'Final scores'],
+  ['streakChanges', 'Streaks'],
+  ['notableToday', "Today's tank battles"],
+];
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Tag URIs (RFC 4151) keep an entry's ID fixed however often the feed is rewritten.
+export function feedEntryId(generatedAt) {
+  return `tag:${new URL(SITE_URL).hostname},${generatedAt.slice(0, 10)}:refresh/${generatedAt}`;
+}
+
+export function buildFeedEntry(changes, generatedAt) {
+  const counts = [
+    changes.rankChanges.length ? pluralize(changes.rankChanges.length, 'rank change') : null,
+    changes.finishedGames.length ? pluralize(changes.finishedGames.length, 'final') : null,
+    changes.streakChanges.length ? pluralize(changes.streakChanges.length, 'streak change') : null,
+  ].filter(Boolean);
+
+  return {
+    id: feedEntryId(generatedAt),
+    updated: generatedAt,
+    title: `Tank race update: ${counts.join(', ')}`,
+    sections: SECTIONS.filter(([key]) => changes[key].length).map(([key, heading]) => ({ heading, items: changes[key] })),
+  };
+}
+
+// The content is HTML carried inside XML, so item text is escaped once for each.
+function buildEntryXml(entry) {
+  const html = entry.sections
+    .map((section) => `<h3>${escapeXml(section.heading)}</h3><ul>${section.items.map((item) => `<li>${escapeXml(item)}</li>`).join('')}</ul>`)
+    .join('');
+  return [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <updated>${escapeXml(entry.updated)}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(SITE_URL)}" />`,
+    `    <content type="html">${escapeXml(html)}</content>`,
+    '  </entry>',
+  ].join('\n');
+}
+
+// Entries are newest first; the feed's updated time is the newest entry's.
+export function buildAtomFeed(entries, league = currentLeague()) {
+  const updated = entries[0]?.updated ?? new Date(0).toISOString();
+  const isDefault = league.id === DEFAULT_LEAGUE;
+  const pageUrl = isDefault ? SITE_URL : new URL(`?league=${league.id}`, SITE_URL).href;
+  const title = isDefault ? 'Race 2 Tank' : `Race 2 Tank: ${league.name}`;
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(pageUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>Daily changes in the race to the bottom of the ${escapeXml(league.name)} standings.</subtitle>`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(new URL(leagueManifestEntry(league).feed, SITE_URL).href)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}" />`,
+    '  <author><name>Race 2 Tank</name></author>',
+    ...entries.map(buildEntryXml),
+    '</feed>',
+    '',
+  ].join('\n');
+}
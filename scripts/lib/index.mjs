@@ -0,0 +1,12 @@
+export * from './calendar.mjs';
+export * from './computations/index.mjs';
+export * from './config.mjs';
+export * from './feed.mjs';
+export * from './leagues.mjs';
+export * from './normalizers.mjs';
+export * from './output.mjs';
+export * from './providers.mjs';
+export * from './runtime.mjs';
+export * from './schema.mjs';
+export * from './tiebreaks.mjs';
+export * from './utils.mjs';
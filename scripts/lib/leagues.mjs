@@ -0,0 +1,150 @@
+import path from 'node:path';
+import {
+  BOTTOM_TEAM_COUNT,
+  CALENDAR_DIR,
+  ESPN_STANDINGS_URL,
+  ESPN_TEAM_SCHEDULE_BASE,
+  FEED_ENTRIES_PATH,
+  FEED_PATH,
+  HISTORY_DIR,
+  HISTORY_INDEX_PATH,
+  LOTTERY_COMBINATIONS,
+  LOTTERY_DRAW_COUNT,
+  NOTABLE_TEAM_COUNT,
+  OUTPUT_PATH,
+  PICK_OWNERSHIP_PATH,
+  PLAY_IN_SEEDS_PER_CONFERENCE,
+  PLAYOFF_SEEDS_PER_CONFERENCE,
+  PROSPECTS_PATH,
+  SCHEDULE_URL,
+  SEASONS_DIR,
+  SEASONS_INDEX_PATH,
+  SIMULATION_POOL_COUNT,
+  STANDINGS_URL,
+} from './config.mjs';
+
+export const DEFAULT_LEAGUE = 'nba';
+export const LEAGUES_MANIFEST_PATH = path.join(process.cwd(), 'public', 'data', 'leagues.json');
+
+function espnEndpoints(sportPath) {
+  return {
+    standings: `https://site.api.espn.com/apis/v2/sports/${sportPath}/standings`,
+    teamSchedules: `https://site.api.espn.com/apis/site/v2/sports/${sportPath}/teams`,
+  };
+}
+
+// Everything the pipeline needs to know about a league with a draft lottery.
+// trackedTeamCount is the size of the lottery race, notableTeamCount the range
+// whose meetings count as tank battles, and lottery.combinations the odds by
+// pre-lottery slot (out of 1,000). A lottery winner can climb at most
+// lottery.maxJump slots; null means no limit. playoffs.scope says whether
+// playoff seeds are per conference or league-wide. seasonStartMonth (1-12) is
+// the month a new season begins; 1 means the whole season is played within
+// one calendar year. Leagues with standingsPoints order the draft by points (two
+// for a win, one for a loss after regulationPeriods), and the projection sends
+// overtimeShare of the simulated games past regulation.
+export const LEAGUES = {
+  nba: {
+    id: 'nba',
+    name: 'NBA',
+    seasonStartMonth: 8,
+    espn: { standings: ESPN_STANDINGS_URL, teamSchedules: ESPN_TEAM_SCHEDULE_BASE },
+    nbaCdn: { standings: STANDINGS_URL, schedule: SCHEDULE_URL },
+    trackedTeamCount: BOTTOM_TEAM_COUNT,
+    notableTeamCount: NOTABLE_TEAM_COUNT,
+    simulationPoolCount: SIMULATION_POOL_COUNT,
+    lottery: { combinations: LOTTERY_COMBINATIONS, drawCount: LOTTERY_DRAW_COUNT, maxJump: null },
+    playoffs: { scope: 'conference', seeds: PLAYOFF_SEEDS_PER_CONFERENCE, playInSeeds: PLAY_IN_SEEDS_PER_CONFERENCE },
+    standingsPoints: null,
+  },
+  // The four non-playoff teams enter the lottery. The WNBA orders them by their
+  // combined record over two seasons; only the current season is modeled here.
+  wnba: {
+    id: 'wnba',
+    name: 'WNBA',
+    seasonStartMonth: 1,
+    espn: espnEndpoints('basketball/wnba'),
+    nbaCdn: null,
+    trackedTeamCount: 4,
+    notableTeamCount: 4,
+    simulationPoolCount: 15,
+    lottery: { combinations: [442, 276, 167, 115], drawCount: 4, maxJump: null },
+    playoffs: { scope: 'league', seeds: 8, playInSeeds: 0 },
+    standingsPoints: null,
+  },
+  // All 16 non-playoff teams are in the lottery, with two draws.
+  nhl: {
+    id: 'nhl',
+    name: 'NHL',
+    seasonStartMonth: 8,
+    espn: espnEndpoints('hockey/nhl'),
+    nbaCdn: null,
+    trackedTeamCount: 16,
+    notableTeamCount: 10,
+    simulationPoolCount: 22,
+    lottery: { combinations: [185, 135, 115, 95, 85, 75, 65, 60, 50, 35, 30, 25, 20, 15, 5, 5], drawCount: 2, maxJump: 10 },
+    playoffs: { scope: 'conference', seeds: 8, playInSeeds: 0 },
+    standingsPoints: { regulationPeriods: 3, overtimeShare: 0.23 },
+  },
+};
+
+export function getLeague(id) {
+  const league = LEAGUES[String(id || '').toLowerCase()];
+  if (!league) {
+    const error = new Error(`Unknown league "${id}". Choose one of: ${Object.keys(LEAGUES).join(', ')}.`);
+    error.code = 'UNKNOWN_LEAGUE';
+    throw error;
+  }
+  return league;
+}
+
+// Site-relative directory for a league's files. The NBA keeps the original
+// top-level paths so existing links and calendar subscriptions keep working.
+export function leagueDirectory(league) {
+  return league.id === DEFAULT_LEAGUE ? '' : `${league.id}/`;
+}
+
+export function leaguePaths(league) {
+  if (league.id === DEFAULT_LEAGUE) {
+    return {
+      output: OUTPUT_PATH,
+      historyDir: HISTORY_DIR,
+      historyIndex: HISTORY_INDEX_PATH,
+      calendarDir: CALENDAR_DIR,
+      feed: FEED_PATH,
+      feedEntries: FEED_ENTRIES_PATH,
+      seasonsDir: SEASONS_DIR,
+      seasonsIndex: SEASONS_INDEX_PATH,
+      pickOwnership: PICK_OWNERSHIP_PATH,
+      prospects: PROSPECTS_PATH,
+    };
+  }
+
+  const dataDir = path.join(process.cwd(), 'public', 'data', league.id);
+  return {
+    output: path.join(dataDir, 'latest.json'),
+    historyDir: path.join(dataDir, 'history'),
+    historyIndex: path.join(dataDir, 'history', 'index.json'),
+    calendarDir: path.join(process.cwd(), 'public', 'calendar', league.id),
+    feed: path.join(dataDir, 'feed.xml'),
+    feedEntries: path.join(dataDir, 'feed-entries.json'),
+    seasonsDir: path.join(dataDir, 'seasons'),
+    seasonsIndex: path.join(dataDir, 'seasons', 'index.json'),
+    pickOwnership: path.join(dataDir, 'pick-ownership.json'),
+    prospects: path.join(dataDir, 'prospects.json'),
+  };
+}
+
+// The page's entry for a league in leagues.json; paths are relative to public/.
+export function leagueManifestEntry(league) {
+  const dir = leagueDirectory(league);
+  return {
+    id: league.id,
+    name: league.name,
+    data: `data/${dir}latest.json`,
+    history: `data/${dir}history/index.json`,
+    seasons: `data/${dir}seasons/index.json`,
+    calendar: `calendar/${dir}tank-games.ics`,
+    feed: league.id === DEFAULT_LEAGUE ? 'feed.xml' : `data/${dir}feed.xml`,
+  };
+}
@@ -0,0 +1,356 @@
+import { currentLeague } from './runtime.mjs';
+import { annotateConferenceRanks, annotateDraftTies, compareDraftOrder } from './tiebreaks.mjs';
+import { deepCollect, parseDate, toNumber } from './utils.mjs';
+
+export function normalizeTeamName(teamLike) {
+  if (!teamLike || typeof teamLike !== 'object') return null;
+
+  const direct =
+    teamLike.teamName ||
+    teamLike.fullName ||
+    teamLike.name ||
+    teamLike.team?.teamName ||
+    teamLike.team?.fullName ||
+    teamLike.team?.displayName;
+
+  if (direct) return String(direct).trim();
+
+  const city = teamLike.teamCity || teamLike.city || teamLike.team?.city;
+  const nickname = teamLike.teamNickname || teamLike.nickname || teamLike.team?.nickname;
+  if (city && nickname) return `${String(city).trim()} ${String(nickname).trim()}`;
+
+  return null;
+}
+
+export function normalizeStandings(standingsJson) {
+  const candidates = deepCollect(
+    standingsJson,
+    (obj) => {
+      if (!obj || typeof obj !== 'object') return false;
+      const hasId = obj.teamId || obj.team?.teamId || obj.id;
+      const hasRecordLike =
+        obj.wins !== undefined ||
+        obj.losses !== undefined ||
+        obj.winPct !== undefined ||
+        obj.winPercentage !== undefined;
+      return Boolean(hasId && hasRecordLike);
+    },
+    []
+  );
+
+  const byId = new Map();
+
+  for (const c of candidates) {
+    const teamId = String(c.teamId || c.team?.teamId || c.id || '');
+    if (!teamId) continue;
+
+    const wins = toNumber(c.wins ?? c.win ?? c.w);
+    const losses = toNumber(c.losses ?? c.loss ?? c.l);
+
+    let winPct = toNumber(c.winPct ?? c.winPercentage ?? c.win_pct);
+    if (winPct === null && wins !== null && losses !== null && wins + losses > 0) {
+      winPct = wins / (wins + losses);
+    }
+
+    const teamName = normalizeTeamName(c) || normalizeTeamName(c.teamSitesOnly) || c.teamTricode || c.team?.teamTricode;
+    if (!teamName || winPct === null) continue;
+
+    const streak = deriveStreakFromCandidate(c);
+    const last10 = deriveLastTenFromCandidate(c);
+
+    const existing = byId.get(teamId);
+    const gamesPlayed = (wins ?? 0) + (losses ?? 0);
+    const existingGames = existing ? (existing.wins ?? 0) + (existing.losses ?? 0) : -1;
+
+    if (!existing || gamesPlayed >= existingGames) {
+      byId.set(teamId, {
+        teamId,
+        teamName,
+        teamTricode: String(c.teamTricode || c.team?.teamTricode || '').trim() || null,
+        conference: normalizeConference(c.conference ?? c.Conference ?? c.team?.conference),
+        conferenceRank: toNumber(c.playoffRank ?? c.PlayoffRank ?? c.conferenceRank ?? c.confRank),
+        wins,
+        losses,
+        winPct,
+        streak,
+        last10,
+      });
+    }
+  }
+
+  return annotateDraftTies(annotateConferenceRanks([...byId.values()]).sort(compareDraftOrder));
+}
+
+export function normalizeGame(gameLike) {
+  if (!gameLike || typeof gameLike !== 'object') return null;
+
+  const home = gameLike.homeTeam || gameLike.home || gameLike.hTeam;
+  const away = gameLike.awayTeam || gameLike.away || gameLike.vTeam;
+
+  const homeTeamId = String(home?.teamId || home?.team?.teamId || home?.id || '');
+  const awayTeamId = String(away?.teamId || away?.team?.teamId || away?.id || '');
+
+  if (!homeTeamId || !awayTeamId) return null;
+
+  const gameId = String(gameLike.gameId || gameLike.gameCode || gameLike.id || `${homeTeamId}_${awayTeamId}_${gameLike.gameDate ?? ''}`);
+  const date =
+    parseDate(gameLike.gameDateTimeUTC) ||
+    parseDate(gameLike.gameDateTimeEst) ||
+    parseDate(gameLike.gameDateUTC) ||
+    parseDate(gameLike.gameDateEst) ||
+    parseDate(gameLike.gameDate) ||
+    parseDate(gameLike.startDateEastern);
+
+  const statusValue = toNumber(gameLike.gameStatus ?? gameLike.statusNum ?? gameLike.status);
+  const statusTextRaw = String(gameLike.gameStatusText || gameLike.gameStatusTextShort || gameLike.statusText || '').trim();
+  const statusText = statusTextRaw.toLowerCase();
+
+  const isFinal = statusValue === 3 || statusText.includes('final');
+  const homeScore = isFinal ? toNumber(home?.score) : null;
+  const awayScore = isFinal ? toNumber(away?.score) : null;
+  const homeTeamName = normalizeTeamName(home) || String(home?.teamTricode || home?.tricode || '').trim() || homeTeamId;
+  const awayTeamName = normalizeTeamName(away) || String(away?.teamTricode || away?.tricode || '').trim() || awayTeamId;
+
+  return {
+    gameId,
+    homeTeamId,
+    awayTeamId,
+    homeTeamName,
+    awayTeamName,
+    date,
+    isFinal,
+    statusText: statusTextRaw || null,
+    homeScore,
+    awayScore,
+  };
+}
+
+export function normalizeSchedule(scheduleJson) {
+  const rawGames = deepCollect(
+    scheduleJson,
+    (obj) => Boolean(obj && typeof obj === 'object' && (obj.homeTeam || obj.home) && (obj.awayTeam || obj.away)),
+    []
+  );
+
+  const unique = new Map();
+  for (const g of rawGames) {
+    const game = normalizeGame(g);
+    if (!game) continue;
+    if (!unique.has(game.gameId)) unique.set(game.gameId, game);
+  }
+
+  return [...unique.values()];
+}
+
+function readStat(stats, ...names) {
+  if (!Array.isArray(stats)) return null;
+
+  const statMap = new Map();
+  for (const stat of stats) {
+    const key = String(stat?.name || '').trim().toLowerCase();
+    if (!key) continue;
+    statMap.set(key, stat);
+    const abbrKey = String(stat?.abbreviation || '').trim().toLowerCase();
+    if (abbrKey) statMap.set(abbrKey, stat);
+  }
+
+  for (const name of names) {
+    const stat = statMap.get(String(name).toLowerCase());
+    const value = toNumber(stat?.value ?? stat?.displayValue);
+    if (value !== null && value !== undefined) return value;
+  }
+
+  return null;
+}
+
+function readStatDisplay(stats, ...names) {
+  if (!Array.isArray(stats)) return null;
+
+  const statMap = new Map();
+  for (const stat of stats) {
+    const key = String(stat?.name || '').trim().toLowerCase();
+    if (!key) continue;
+    statMap.set(key, stat);
+    const abbrKey = String(stat?.abbreviation || '').trim().toLowerCase();
+    if (abbrKey) statMap.set(abbrKey, stat);
+  }
+
+  for (const name of names) {
+    const stat = statMap.get(String(name).toLowerCase());
+    const text = String(stat?.displayValue ?? stat?.value ?? '').trim();
+    if (text) return text;
+  }
+
+  return null;
+}
+
+export function normalizeStreak(value) {
+  const raw = String(value || '').trim().toUpperCase();
+  if (!raw) return null;
+  const compact = raw.replaceAll(' ', '');
+  if (/^[WL]\d+$/.test(compact)) return compact;
+  return null;
+}
+
+export function normalizeLastTen(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  const match = raw.match(/(\d+)\s*-\s*(\d+)/);
+  if (!match) return null;
+  return `${match[1]}-${match[2]}`;
+}
+
+function deriveStreakFromCandidate(candidate) {
+  const direct = normalizeStreak(
+    candidate?.streak ||
+      candidate?.currentStreak ||
+      candidate?.teamStreak ||
+      candidate?.team?.streak ||
+      candidate?.teamSitesOnly?.streak
+  );
+  if (direct) return direct;
+
+  const winStreak = toNumber(candidate?.winStreak ?? candidate?.team?.winStreak);
+  if (winStreak !== null && winStreak > 0) return `W${winStreak}`;
+
+  const lossStreak = toNumber(candidate?.lossStreak ?? candidate?.team?.lossStreak);
+  if (lossStreak !== null && lossStreak > 0) return `L${lossStreak}`;
+
+  return null;
+}
+
+function deriveLastTenFromCandidate(candidate) {
+  const direct = normalizeLastTen(
+    candidate?.lastTen ||
+      candidate?.lastTenRecord ||
+      candidate?.l10 ||
+      candidate?.team?.lastTen ||
+      candidate?.teamSitesOnly?.lastTen
+  );
+  if (direct) return direct;
+
+  const wins = toNumber(candidate?.lastTenWins ?? candidate?.last10Wins);
+  const losses = toNumber(candidate?.lastTenLosses ?? candidate?.last10Losses);
+  if (wins !== null && losses !== null) return `${wins}-${losses}`;
+
+  return null;
+}
+
+export function normalizeConference(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  if (raw.startsWith('east')) return 'East';
+  if (raw.startsWith('west')) return 'West';
+  return null;
+}
+
+export function normalizeEspnStandings(standingsJson) {
+  const entries = [];
+  for (const child of standingsJson?.children ?? []) {
+    if (Array.isArray(child?.standings?.entries)) {
+      const conference = normalizeConference(child?.abbreviation || child?.name);
+      entries.push(...child.standings.entries.map((entry) => ({ entry, conference })));
+    }
+  }
+
+  const pointsLeague = Boolean(currentLeague().standingsPoints);
+  const byId = new Map();
+  for (const { entry, conference } of entries) {
+    const teamId = String(entry?.team?.id || '').trim();
+    const teamName = String(entry?.team?.displayName || entry?.team?.name || '').trim();
+    if (!teamId || !teamName) continue;
+
+    // Hockey standings list overtime losses apart. losses counts every loss, and
+    // otLosses keeps the overtime ones for the points that order the draft.
+    const wins = readStat(entry?.stats, 'wins');
+    const overtimeLosses = pointsLeague ? readStat(entry?.stats, 'otlosses', 'overtimelosses') : null;
+    const regulationLosses = readStat(entry?.stats, 'losses');
+    const losses = regulationLosses !== null && overtimeLosses ? regulationLosses + overtimeLosses : regulationLosses;
+    let winPct = overtimeLosses ? null : readStat(entry?.stats, 'winpercent', 'leaguewinpercent');
+    if (winPct === null && wins !== null && losses !== null && wins + losses > 0) {
+      winPct = wins / (wins + losses);
+    }
+    if (winPct === null) continue;
+
+    const streak = normalizeStreak(readStatDisplay(entry?.stats, 'streak', 'strk'));
+    const last10 = normalizeLastTen(readStatDisplay(entry?.stats, 'last ten games', 'l10', 'last10'));
+
+    const existing = byId.get(teamId);
+    const gamesPlayed = (wins ?? 0) + (losses ?? 0);
+    const existingGames = existing ? (existing.wins ?? 0) + (existing.losses ?? 0) : -1;
+
+    if (!existing || gamesPlayed >= existingGames) {
+      byId.set(teamId, {
+        teamId,
+        teamName,
+        conference,
+        conferenceRank: readStat(entry?.stats, 'playoffseed'),
+        wins,
+        losses,
+        ...(overtimeLosses !== null ? { otLosses: overtimeLosses } : {}),
+        winPct,
+        streak,
+        last10,
+      });
+    }
+  }
+
+  return annotateDraftTies(annotateConferenceRanks([...byId.values()]).sort(compareDraftOrder));
+}
+
+export function normalizeEspnGame(eventLike) {
+  if (!eventLike || typeof eventLike !== 'object') return null;
+  const competition = eventLike?.competitions?.[0];
+  const competitors = Array.isArray(competition?.competitors) ? competition.competitors : [];
+  if (competitors.length < 2) return null;
+
+  const home = competitors.find((c) => c?.homeAway === 'home') || competitors[0];
+  const away = competitors.find((c) => c?.homeAway === 'away') || competitors[1];
+
+  const homeTeamId = String(home?.team?.id || '').trim();
+  const awayTeamId = String(away?.team?.id || '').trim();
+  if (!homeTeamId || !awayTeamId) return null;
+
+  const statusName = String(competition?.status?.type?.name || '').trim();
+  const statusDetail = String(
+    competition?.status?.type?.detail ||
+      competition?.status?.type?.shortDetail ||
+      competition?.status?.type?.description ||
+      ''
+  ).trim();
+  const statusText = statusDetail || statusName || null;
+
+  const completed = Boolean(competition?.status?.type?.completed);
+  const isFinal = completed || statusName.toLowerCase().includes('final');
+  // ESPN sends the score as an object on team schedules and as a string on scoreboards.
+  const readScore = (competitor) =>
+    isFinal ? toNumber(typeof competitor?.score === 'object' ? competitor.score?.value : competitor?.score) : null;
+
+  return {
+    gameId: String(eventLike?.id || competition?.id || `${awayTeamId}_${homeTeamId}_${eventLike?.date || ''}`),
+    homeTeamId,
+    awayTeamId,
+    homeTeamName: String(home?.team?.displayName || home?.team?.name || home?.team?.abbreviation || homeTeamId),
+    awayTeamName: String(away?.team?.displayName || away?.team?.name || away?.team?.abbreviation || awayTeamId),
+    date: parseDate(eventLike?.date || competition?.date),
+    isFinal,
+    statusText,
+    homeScore: readScore(home),
+    awayScore: readScore(away),
+    periods: toNumber(competition?.status?.period),
+  };
+}
+
+export function normalizeEspnSchedule(schedulePayloads) {
+  const unique = new Map();
+
+  for (const payload of schedulePayloads) {
+    const events = Array.isArray(payload?.events) ? payload.events : [];
+    for (const eventLike of events) {
+      const game = normalizeEspnGame(eventLike);
+      if (!game) continue;
+      if (!unique.has(game.gameId)) unique.set(game.gameId, game);
+    }
+  }
+
+  return [...unique.values()];
+}
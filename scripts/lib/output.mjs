@@ -0,0 +1,205 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { allGamesCalendarPath, buildCalendar } from './calendar.mjs';
+import { describePayloadChanges } from './computations/changes.mjs';
+import { CALENDAR_DIR, CALENDAR_TEAMS_DIR, FEED_ENTRY_LIMIT, HISTORY_TIME_ZONE } from './config.mjs';
+import { buildAtomFeed, buildFeedEntry } from './feed.mjs';
+import { DEFAULT_LEAGUE, LEAGUES, LEAGUES_MANIFEST_PATH, leagueManifestEntry, leaguePaths } from './leagues.mjs';
+import { currentLeague } from './runtime.mjs';
+import { assertValidPayload } from './schema.mjs';
+import { dateKey, roundTo } from './utils.mjs';
+
+export function currentPaths() {
+  return leaguePaths(currentLeague());
+}
+
+export async function readCachedPayload() {
+  try {
+    const raw = await fs.readFile(currentPaths().output, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || !Array.isArray(parsed.rows)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+export async function writePayload(payload, output = currentPaths().output, { validate = true } = {}) {
+  if (validate) await assertValidPayload(payload);
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  await fs.writeFile(output, `${JSON.stringify(payload, null, 2)}\n`, 'utf8');
+}
+
+// Lists the leagues that have data so the page can offer them in its switcher.
+export async function writeLeaguesManifest() {
+  const leagues = [];
+  for (const league of Object.values(LEAGUES)) {
+    const hasData = await fs
+      .access(leaguePaths(league).output)
+      .then(() => true)
+      .catch(() => false);
+    if (hasData || league.id === DEFAULT_LEAGUE) leagues.push(leagueManifestEntry(league));
+  }
+  await fs.mkdir(path.dirname(LEAGUES_MANIFEST_PATH), { recursive: true });
+  await fs.writeFile(LEAGUES_MANIFEST_PATH, `${JSON.stringify({ defaultLeague: DEFAULT_LEAGUE, leagues }, null, 2)}\n`, 'utf8');
+  return leagues;
+}
+
+export async function readHistoryIndex() {
+  try {
+    const raw = await fs.readFile(currentPaths().historyIndex, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!parsed || !Array.isArray(parsed.days)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+// A snapshot keeps only what the trend views read, not the whole payload.
+export function buildHistorySnapshot(payload, date) {
+  return {
+    date,
+    generatedAt: payload.generatedAt,
+    teams: payload.rows.map((row) => {
+      const record = /^(\d+)-(\d+)$/.exec(String(row.record || ''));
+      return {
+        teamId: row.teamId,
+        rank: row.rank,
+        rankLabel: row.rankLabel,
+        wins: record ? Number(record[1]) : null,
+        losses: record ? Number(record[2]) : null,
+      };
+    }),
+  };
+}
+
+// Keeps one snapshot per Eastern calendar day; later refreshes on the same day replace it.
+export async function writeHistorySnapshot(payload) {
+  const date = dateKey(new Date(payload.generatedAt), HISTORY_TIME_ZONE);
+  const file = `${date}.json`;
+  const { historyDir, historyIndex } = currentPaths();
+  await assertValidPayload(payload);
+
+  await fs.mkdir(historyDir, { recursive: true });
+  await fs.writeFile(path.join(historyDir, file), `${JSON.stringify(buildHistorySnapshot(payload, date))}\n`, 'utf8');
+
+  const index = (await readHistoryIndex()) || { days: [] };
+  const entry = {
+    date,
+    file,
+    generatedAt: payload.generatedAt,
+    teams: payload.rows.map((row) => ({
+      teamId: row.teamId,
+      team: row.team,
+      rank: row.rank,
+      winPct: row.winPct !== null && row.winPct !== undefined ? roundTo(row.winPct, 4) : null,
+      record: row.record,
+    })),
+  };
+
+  const days = index.days.filter((day) => day?.date !== date);
+  days.push(entry);
+  days.sort((a, b) => a.date.localeCompare(b.date));
+
+  const nextIndex = {
+    timeZone: HISTORY_TIME_ZONE,
+    updatedAt: payload.generatedAt,
+    days,
+  };
+  await fs.writeFile(historyIndex, `${JSON.stringify(nextIndex)}\n`, 'utf8');
+  return date;
+}
+
+export async function readSeasonsIndex() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(currentPaths().seasonsIndex, 'utf8'));
+    if (!parsed || !Array.isArray(parsed.seasons)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+// Writes a past season's payload and results summary to seasons/<year>/ and
+// lists it in seasons/index.json, newest season first. Returns the directory.
+export async function writeSeason(payload, summary) {
+  const { seasonsDir, seasonsIndex } = currentPaths();
+  await assertValidPayload(payload);
+  const dir = path.join(seasonsDir, String(summary.season));
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'latest.json'), `${JSON.stringify(payload, null, 2)}\n`, 'utf8');
+  await fs.writeFile(path.join(dir, 'summary.json'), `${JSON.stringify(summary)}\n`, 'utf8');
+
+  const relative = (file) => `seasons/${summary.season}/${file}`;
+  const entry = {
+    season: summary.season,
+    label: summary.label,
+    asOf: summary.asOf,
+    payload: relative('latest.json'),
+    summary: relative('summary.json'),
+  };
+  const index = (await readSeasonsIndex()) || { seasons: [] };
+  const seasons = [...index.seasons.filter((item) => item?.season !== summary.season), entry].sort((a, b) => b.season - a.season);
+  await fs.writeFile(seasonsIndex, `${JSON.stringify({ seasons }, null, 2)}\n`, 'utf8');
+  return dir;
+}
+
+// Writes the all-teams feed and one feed per ranked team. Feeds for teams that
+// dropped out of the rows are emptied rather than deleted so subscriptions keep working.
+export async function writeCalendars(payload) {
+  const league = currentLeague();
+  const publicRoot = path.dirname(CALENDAR_DIR);
+  const teamsDir = path.join(leaguePaths(league).calendarDir, CALENDAR_TEAMS_DIR);
+  const title = league.id === DEFAULT_LEAGUE ? 'Race 2 Tank' : `Race 2 Tank (${league.name})`;
+  await fs.mkdir(teamsDir, { recursive: true });
+
+  const allGames = payload.rows.flatMap((row) => row.notableTankGames);
+  await fs.writeFile(path.join(publicRoot, allGamesCalendarPath(league)), buildCalendar(`${title}: tank battles`, allGames, payload.generatedAt), 'utf8');
+
+  const written = new Set();
+  for (const row of payload.rows) {
+    if (!row.calendarPath) continue;
+    await fs.writeFile(
+      path.join(publicRoot, row.calendarPath),
+      buildCalendar(`${title}: ${row.team}`, row.notableTankGames, payload.generatedAt),
+      'utf8'
+    );
+    written.add(path.basename(row.calendarPath));
+  }
+
+  for (const file of await fs.readdir(teamsDir)) {
+    if (!file.endsWith('.ics') || written.has(file)) continue;
+    const name = (await fs.readFile(path.join(teamsDir, file), 'utf8')).match(/^X-WR-CALNAME:(.*?)\r?$/m)?.[1]?.replace(/\\(.)/g, '$1');
+    await fs.writeFile(path.join(teamsDir, file), buildCalendar(name || title, [], payload.generatedAt), 'utf8');
+  }
+
+  return written.size;
+}
+
+export async function readFeedEntries() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(currentPaths().feedEntries, 'utf8'));
+    return Array.isArray(parsed?.entries) ? parsed.entries : [];
+  } catch {
+    return [];
+  }
+}
+
+// Adds an entry to feed.xml when the refresh changed something since the
+// previous payload. Entries live in a JSON sidecar so the feed can be rebuilt.
+export async function writeFeed(previous, payload) {
+  const changes = describePayloadChanges(previous, payload);
+  const entries = await readFeedEntries();
+  const entry = changes.changed ? buildFeedEntry(changes, payload.generatedAt) : null;
+
+  const nextEntries = entry ? [entry, ...entries.filter((existing) => existing.id !== entry.id)] : entries;
+  const kept = nextEntries.sort((a, b) => b.updated.localeCompare(a.updated)).slice(0, FEED_ENTRY_LIMIT);
+
+  const { feed, feedEntries } = currentPaths();
+  await fs.mkdir(path.dirname(feedEntries), { recursive: true });
+  await fs.writeFile(feedEntries, `${JSON.stringify({ entries: kept }, null, 2)}\n`, 'utf8');
+  await fs.mkdir(path.dirname(feed), { recursive: true });
+  await fs.writeFile(feed, buildAtomFeed(kept), 'utf8');
+  return entry;
+}
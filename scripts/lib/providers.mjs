@@ -0,0 +1,327 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ESPN_FETCH_ATTEMPTS, FETCH_ATTEMPTS, FETCH_TIMEOUT_MS } from './config.mjs';
+import { buildPayloadFromData } from './computations/payload.mjs';
+import { reconcileProviders } from './computations/reconciliation.mjs';
+import { buildSeasonSummary, rewindSeason } from './computations/season.mjs';
+import { validatePickOwnership } from './computations/pick-ownership.mjs';
+import { validateProspects } from './computations/prospects.mjs';
+import { normalizeEspnSchedule, normalizeEspnStandings, normalizeSchedule, normalizeStandings } from './normalizers.mjs';
+import { leaguePaths } from './leagues.mjs';
+import { currentLeague, currentTime, runOptions } from './runtime.mjs';
+import { hashString } from './utils.mjs';
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function classifyFetchError(error) {
+  const cause = error?.cause;
+  const code = cause?.code || error?.code || '';
+  const message = String(error?.message || '').toLowerCase();
+
+  return {
+    code,
+    isNetworkLike:
+      code === 'ETIMEDOUT' ||
+      code === 'ECONNRESET' ||
+      code === 'ECONNREFUSED' ||
+      code === 'EAI_AGAIN' ||
+      code === 'ENOTFOUND' ||
+      message.includes('fetch failed') ||
+      message.includes('network') ||
+      message.includes('timed out') ||
+      message.includes('aborted'),
+  };
+}
+
+export function recordingFileName(url) {
+  const slug = url
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
+  return `${slug}-${hashString(url).toString(16)}.json`;
+}
+
+async function recordResponse(url, body) {
+  await fs.mkdir(runOptions.recordDir, { recursive: true });
+  const file = path.join(runOptions.recordDir, recordingFileName(url));
+  await fs.writeFile(file, `${JSON.stringify({ url, body })}\n`, 'utf8');
+}
+
+async function readRecordedResponse(url) {
+  const file = path.join(runOptions.replayDir, recordingFileName(url));
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch {
+    throw new Error(`No recorded response for ${url} in ${runOptions.replayDir}`);
+  }
+
+  const recorded = JSON.parse(raw);
+  if (recorded?.url !== url) throw new Error(`Recorded response ${file} does not match ${url}`);
+  return recorded.body;
+}
+
+export async function fetchJson(url, attempts = FETCH_ATTEMPTS) {
+  if (runOptions.replayDir) return readRecordedResponse(url);
+
+  const body = await fetchJsonWithRetries(url, attempts);
+  if (runOptions.recordDir) await recordResponse(url, body);
+  return body;
+}
+
+async function fetchJsonWithRetries(url, attempts) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= attempts; attempt += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+      const res = await fetch(url, {
+        signal: controller.signal,
+        headers: {
+          'user-agent': 'race-to-the-tank-data-bot/1.0',
+          accept: 'application/json,text/plain,*/*',
+        },
+      });
+
+      if (!res.ok) {
+        throw new Error(`Fetch failed: ${url} -> ${res.status}`);
+      }
+
+      return await res.json();
+    } catch (error) {
+      lastError = error;
+      const { isNetworkLike, code } = classifyFetchError(error);
+      const waitMs = 1200 * attempt;
+      if (attempt < attempts) {
+        const codeText = code ? ` (${code})` : '';
+        console.warn(`Fetch retry ${attempt}/${attempts} for ${url}${codeText}. Waiting ${waitMs}ms...`);
+        await sleep(waitMs);
+      } else {
+        console.warn(`Fetch exhausted retries for ${url}.`);
+      }
+
+      if (!isNetworkLike && attempt >= attempts) break;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  throw lastError;
+}
+
+export async function readPickOwnership() {
+  let raw;
+  try {
+    raw = await fs.readFile(leaguePaths(currentLeague()).pickOwnership, 'utf8');
+  } catch {
+    return null;
+  }
+
+  return validatePickOwnership(JSON.parse(raw));
+}
+
+export async function readProspects() {
+  let raw;
+  try {
+    raw = await fs.readFile(leaguePaths(currentLeague()).prospects, 'utf8');
+  } catch {
+    return null;
+  }
+
+  return validateProspects(JSON.parse(raw));
+}
+
+export async function fetchEspnData() {
+  const { espn, name, trackedTeamCount, simulationPoolCount } = currentLeague();
+  const standingsJson = await fetchJson(espn.standings, ESPN_FETCH_ATTEMPTS);
+  const standings = normalizeEspnStandings(standingsJson);
+  if (standings.length < trackedTeamCount) {
+    throw new Error(`Unable to resolve ${trackedTeamCount} teams from ESPN ${name} standings.`);
+  }
+
+  // ESPN only serves per-team schedules, so the projection is limited to the teams fetched here.
+  const simulationTeams = standings.slice(0, Math.max(trackedTeamCount, simulationPoolCount));
+  const schedulePayloads = await Promise.all(
+    simulationTeams.map((team) =>
+      fetchJson(`${espn.teamSchedules}/${team.teamId}/schedule?seasontype=2`, ESPN_FETCH_ATTEMPTS)
+    )
+  );
+
+  return {
+    provider: 'espn',
+    standings,
+    games: normalizeEspnSchedule(schedulePayloads),
+    simulationTeams,
+    scheduleTeamIds: new Set(simulationTeams.map((team) => team.teamId)),
+    dataSources: {
+      standings: espn.standings,
+      schedule: `${espn.teamSchedules}/{teamId}/schedule?seasontype=2`,
+    },
+  };
+}
+
+// Past seasons come from ESPN only; the NBA CDN feeds cover the current season.
+// Every team's schedule is fetched so the standings can be rebuilt as of the clock.
+export async function fetchEspnSeasonData(season) {
+  const { espn, name, trackedTeamCount } = currentLeague();
+  const standingsUrl = `${espn.standings}?season=${season}`;
+  const scheduleQuery = `schedule?season=${season}&seasontype=2`;
+  const standings = normalizeEspnStandings(await fetchJson(standingsUrl, ESPN_FETCH_ATTEMPTS));
+  if (standings.length < trackedTeamCount) {
+    throw new Error(`Unable to resolve ${trackedTeamCount} teams from ESPN ${name} standings for ${season}.`);
+  }
+
+  const schedulePayloads = await Promise.all(
+    standings.map((team) => fetchJson(`${espn.teamSchedules}/${team.teamId}/${scheduleQuery}`, ESPN_FETCH_ATTEMPTS))
+  );
+  const rewound = rewindSeason(standings, normalizeEspnSchedule(schedulePayloads), currentTime());
+
+  return {
+    provider: 'espn',
+    standings: rewound.standings,
+    games: rewound.games,
+    simulationTeams: rewound.standings,
+    scheduleTeamIds: new Set(standings.map((team) => team.teamId)),
+    dataSources: {
+      standings: standingsUrl,
+      schedule: `${espn.teamSchedules}/{teamId}/${scheduleQuery}`,
+    },
+  };
+}
+
+export async function fetchNbaData() {
+  const { nbaCdn, trackedTeamCount } = currentLeague();
+  const [standingsJson, scheduleJson] = await Promise.all([
+    fetchJson(nbaCdn.standings),
+    fetchJson(nbaCdn.schedule),
+  ]);
+
+  const standings = normalizeStandings(standingsJson);
+  if (standings.length < trackedTeamCount) {
+    throw new Error(`Unable to resolve ${trackedTeamCount} teams from NBA standings feed.`);
+  }
+
+  return {
+    provider: 'nba',
+    standings,
+    games: normalizeSchedule(scheduleJson),
+    simulationTeams: standings,
+    scheduleTeamIds: new Set(standings.map((team) => team.teamId)),
+    dataSources: {
+      standings: nbaCdn.standings,
+      schedule: nbaCdn.schedule,
+    },
+  };
+}
+
+function buildPayloadFromSource(source, { pickOwnership, prospects }) {
+  return buildPayloadFromData({
+    standings: source.standings,
+    games: source.games,
+    simulationTeams: source.simulationTeams,
+    pickOwnership,
+    prospects,
+    provider: source.provider,
+    dataSources: source.dataSources,
+  });
+}
+
+export async function loadFromEspn(context) {
+  return buildPayloadFromSource(await fetchEspnData(), context);
+}
+
+export async function loadFromNba(context) {
+  return buildPayloadFromSource(await fetchNbaData(), context);
+}
+
+// Pick ownership and the prospect board only describe the upcoming draft, so past seasons go without them.
+export async function loadSeasonPayload(season) {
+  const source = await fetchEspnSeasonData(season);
+  return {
+    payload: buildPayloadFromSource(source, { pickOwnership: null, prospects: null }),
+    summary: buildSeasonSummary(season, source.standings, source.games, currentTime()),
+  };
+}
+
+// The NBA CDN only covers the NBA; other leagues are served by ESPN alone.
+function liveSources(sources) {
+  return sources.filter((source) => source.name !== 'nba' || currentLeague().nbaCdn);
+}
+
+// Fetches every provider and merges them; ESPN stays the base for team IDs and
+// names so pick-ownership references keep matching.
+export async function loadReconciledPayload(context) {
+  const fetchers = liveSources([
+    { name: 'espn', fn: fetchEspnData },
+    { name: 'nba', fn: fetchNbaData },
+  ]);
+  const results = await Promise.allSettled(fetchers.map((fetcher) => fetcher.fn()));
+
+  const sources = [];
+  const failedProviders = [];
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      sources.push(result.value);
+    } else {
+      const reason = result.reason?.message || String(result.reason);
+      console.warn(`Live source ${fetchers[index].name} failed: ${reason}`);
+      failedProviders.push({ provider: fetchers[index].name, error: reason });
+    }
+  });
+
+  if (!sources.length) throw results[results.length - 1].reason;
+
+  const merged = reconcileProviders(sources);
+  const scheduleSource = sources.find((source) => source.provider === merged.scheduleSource);
+  const payload = buildPayloadFromData({
+    standings: merged.standings,
+    games: merged.games,
+    simulationTeams: merged.simulationTeams,
+    pickOwnership: context.pickOwnership,
+    prospects: context.prospects,
+    provider: sources.map((source) => source.provider).join('+'),
+    dataSources: {
+      standings: sources[0].dataSources.standings,
+      schedule: scheduleSource.dataSources.schedule,
+    },
+    reconciliation: { ...merged.report, failedProviders },
+  });
+
+  console.log(
+    `Reconciled ${merged.report.providers.join(' and ')}: ${merged.report.discrepancies.length} discrepancies, schedule from ${merged.scheduleSource}.`
+  );
+  return payload;
+}
+
+export async function loadLivePayload() {
+  const context = {
+    pickOwnership: await readPickOwnership(),
+    prospects: await readProspects(),
+  };
+
+  if (runOptions.reconcile) return loadReconciledPayload(context);
+
+  const loaders = liveSources([
+    { name: 'espn', fn: loadFromEspn },
+    { name: 'nba', fn: loadFromNba },
+  ]);
+
+  let lastError = null;
+  for (const loader of loaders) {
+    try {
+      const payload = await loader.fn(context);
+      console.log(`Live data source selected: ${loader.name}`);
+      return payload;
+    } catch (error) {
+      lastError = error;
+      console.warn(`Live source ${loader.name} failed: ${error?.message || error}`);
+    }
+  }
+
+  throw lastError || new Error('No live data source succeeded.');
+}
@@ -0,0 +1,19 @@
+import { DEFAULT_LEAGUE, getLeague } from './leagues.mjs';
+
+// Set once from the command line by the build-data CLI; see README for the flags.
+export const runOptions = {
+  recordDir: null,
+  replayDir: null,
+  now: null,
+  allowAnomalies: false,
+  reconcile: false,
+  league: DEFAULT_LEAGUE,
+};
+
+export function currentTime() {
+  return runOptions.now ? new Date(runOptions.now.getTime()) : new Date();
+}
+
+export function currentLeague() {
+  return getLeague(runOptions.league);
+}
@@ -0,0 +1,127 @@
+import fs from 'node:fs/promises';
+import { PAYLOAD_SCHEMA_PATH } from './config.mjs';
+
+// Covers the JSON Schema keywords that latest.schema.json uses; anything else is ignored.
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value),
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported schema reference ${ref}.`);
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node?.[key], root);
+}
+
+function validateNode(value, schema, root, pointer, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, pointer, errors);
+    return;
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${pointer || '/'} must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer || '/'} must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`);
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${pointer || '/'} must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.oneOf) {
+    const attempts = schema.oneOf.map((option) => {
+      const optionErrors = [];
+      validateNode(value, option, root, pointer, optionErrors);
+      return optionErrors;
+    });
+    const matches = attempts.filter((optionErrors) => optionErrors.length === 0).length;
+    if (matches === 0) {
+      // Report the errors of the option with the right type so the message points at the bad field.
+      const sameType = attempts.filter((_, index) => {
+        const option = schema.oneOf[index].$ref ? resolveRef(root, schema.oneOf[index].$ref) : schema.oneOf[index];
+        return !option.type || [].concat(option.type).some((type) => matchesType(value, type));
+      });
+      errors.push(...(sameType.length ? sameType : attempts).sort((a, b) => a.length - b.length)[0]);
+    } else if (matches > 1) {
+      errors.push(`${pointer || '/'} matches more than one allowed shape`);
+    }
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${pointer || '/'} is too short`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${pointer || '/'} does not match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      errors.push(`${pointer || '/'} is not a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${pointer || '/'} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${pointer || '/'} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, root, `${pointer}/${index}`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${pointer}/${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        validateNode(child, childSchema, root, `${pointer}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer}/${key} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, `${pointer}/${key}`, errors);
+      }
+    }
+  }
+}
+
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return errors;
+}
+
+let payloadSchema = null;
+
+export async function readPayloadSchema() {
+  if (!payloadSchema) payloadSchema = JSON.parse(await fs.readFile(PAYLOAD_SCHEMA_PATH, 'utf8'));
+  return payloadSchema;
+}
+
+export async function assertValidPayload(payload) {
+  const errors = validateAgainstSchema(payload, await readPayloadSchema());
+  if (!errors.length) return;
+
+  const shown = errors.slice(0, 10).join('; ');
+  const more = errors.length > 10 ? ` (and ${errors.length - 10} more)` : '';
+  const error = new Error(`Payload does not match latest.schema.json: ${shown}${more}`);
+  error.code = 'SCHEMA_INVALID';
+  throw error;
+}
@@ -0,0 +1,98 @@
+import { toNumber } from './utils.mjs';
+
+export function recordWinPct(team) {
+  const wins = toNumber(team?.wins);
+  const losses = toNumber(team?.losses);
+  if (wins !== null && losses !== null && wins + losses > 0) return wins / (wins + losses);
+  return toNumber(team?.winPct);
+}
+
+// Hockey standings give two points for a win and one for an overtime loss.
+// Teams from feeds without overtime losses have no points.
+export function recordPoints(team) {
+  const wins = toNumber(team?.wins);
+  const otLosses = toNumber(team?.otLosses);
+  return wins !== null && otLosses !== null ? 2 * wins + otLosses : null;
+}
+
+function gamesPlayed(team) {
+  return (toNumber(team?.wins) ?? 0) + (toNumber(team?.losses) ?? 0);
+}
+
+// Worst record first: fewest points when both teams have them, where the team
+// with more games played is worse on equal points, and otherwise the lowest
+// winning percentage. Zero means the records are tied.
+function compareRecords(a, b) {
+  const aPoints = recordPoints(a);
+  const bPoints = recordPoints(b);
+  if (aPoints !== null && bPoints !== null) return aPoints - bPoints || gamesPlayed(b) - gamesPlayed(a);
+  return (recordWinPct(a) ?? 0) - (recordWinPct(b) ?? 0);
+}
+
+// Teams with identical records are separated by a random drawing, so the name
+// order here is display-only.
+export function compareDraftOrder(a, b) {
+  return compareRecords(a, b) || a.teamName.localeCompare(b.teamName);
+}
+
+export function findTiedGroups(rankedTeams) {
+  const groups = [];
+  let current = [];
+
+  rankedTeams.forEach((team, index) => {
+    const previous = rankedTeams[index - 1];
+    if (previous && compareRecords(previous, team) === 0) {
+      current.push(index);
+      return;
+    }
+
+    if (current.length > 1) groups.push(current);
+    current = [index];
+  });
+
+  if (current.length > 1) groups.push(current);
+  return groups;
+}
+
+// Conference seeds from the feed are kept when every team in the conference has
+// one. Otherwise the conference is seeded by record, which ignores the league's
+// head-to-head and division tiebreakers.
+export function annotateConferenceRanks(teams) {
+  const byConference = new Map();
+  for (const team of teams) {
+    if (!team.conference) continue;
+    if (!byConference.has(team.conference)) byConference.set(team.conference, []);
+    byConference.get(team.conference).push(team);
+  }
+
+  const ranks = new Map();
+  for (const members of byConference.values()) {
+    const fromFeed = members.every((team) => Number.isInteger(team.conferenceRank) && team.conferenceRank > 0);
+    const ordered = fromFeed ? members : [...members].sort((a, b) => compareDraftOrder(b, a));
+    ordered.forEach((team, index) => ranks.set(team, fromFeed ? team.conferenceRank : index + 1));
+  }
+
+  return teams.map((team) => ({ ...team, conferenceRank: ranks.get(team) ?? null }));
+}
+
+export function annotateDraftTies(rankedTeams) {
+  const tiesByIndex = new Map();
+
+  for (const group of findTiedGroups(rankedTeams)) {
+    const tie = {
+      method: 'coin-flip',
+      rankStart: group[0] + 1,
+      rankEnd: group[group.length - 1] + 1,
+      teams: group.map((index) => ({
+        teamId: rankedTeams[index].teamId,
+        team: rankedTeams[index].teamName,
+      })),
+    };
+    for (const index of group) tiesByIndex.set(index, tie);
+  }
+
+  return rankedTeams.map((team, index) => ({
+    ...team,
+    tie: tiesByIndex.get(index) || null,
+  }));
+}
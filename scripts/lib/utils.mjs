@@ -0,0 +1,95 @@
+export function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (!Number.isNaN(date.getTime())) return date;
+
+  // Handles date strings like 20260208
+  if (typeof value === 'string' && /^\d{8}$/.test(value)) {
+    const iso = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T00:00:00Z`;
+    const compact = new Date(iso);
+    if (!Number.isNaN(compact.getTime())) return compact;
+  }
+
+  return null;
+}
+
+export function deepCollect(root, predicate, out = [], seen = new WeakSet(), depth = 0) {
+  if (!root || typeof root !== 'object') return out;
+  if (seen.has(root)) return out;
+  seen.add(root);
+  if (depth > 20) return out;
+
+  if (predicate(root)) out.push(root);
+
+  if (Array.isArray(root)) {
+    for (const item of root) deepCollect(item, predicate, out, seen, depth + 1);
+    return out;
+  }
+
+  for (const value of Object.values(root)) {
+    deepCollect(value, predicate, out, seen, depth + 1);
+  }
+
+  return out;
+}
+
+export function teamNameKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function nameWords(value) {
+  return String(value || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// NBA CDN rows only carry the nickname ("Jazz"), so a name also matches a longer
+// one that ends with the same words. Whole words keep "Nets" from matching "Hornets".
+export function teamNamesMatch(a, b) {
+  const aWords = nameWords(a);
+  const bWords = nameWords(b);
+  if (!aWords.length || !bWords.length) return false;
+
+  const [shorter, longer] = aWords.length <= bWords.length ? [aWords, bWords] : [bWords, aWords];
+  const offset = longer.length - shorter.length;
+  return shorter.every((word, index) => longer[offset + index] === word);
+}
+
+// Matches a row to a { teamId, team } reference by ESPN ID or by name.
+export function matchesTeamRef(row, ref) {
+  if (!ref) return false;
+  if (ref.teamId && String(ref.teamId) === row.teamId) return true;
+  return teamNamesMatch(row.team, ref.team);
+}
+
+export function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function dateKey(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { detectPayloadAnomalies } from '../scripts/lib/computations/anomalies.mjs';
+
+function row(teamId, team, record, gamesRemaining) {
+  return { teamId, team, record, strengthOfSchedule: { gamesRemaining } };
+}
+
+function payload(rows, days = []) {
+  return { rows, todaySchedule: { timeZone: 'America/New_York', days } };
+}
+
+const previous = payload(
+  [row('27', 'Washington Wizards', '12-50', 20), row('26', 'Utah Jazz', '15-47', 20)],
+  [{ dateEt: '2026-03-10', games: [{ gameId: '401810533' }] }]
+);
+
+describe('detectPayloadAnomalies', () => {
+  it('accepts normal movement between builds', () => {
+    const next = payload(
+      [row('27', 'Washington Wizards', '12-51', 19), row('26', 'Utah Jazz', '16-47', 19)],
+      [{ dateEt: '2026-03-10', games: [{ gameId: '401810533' }] }, { dateEt: '2026-03-11', games: [] }]
+    );
+    assert.deepEqual(detectPayloadAnomalies(previous, next), []);
+  });
+
+  it('has nothing to compare against without a cached payload', () => {
+    assert.deepEqual(detectPayloadAnomalies(null, payload([])), []);
+  });
+
+  it('flags records that go backwards and fewer games played', () => {
+    const next = payload([row('27', 'Washington Wizards', '11-51', 20), row('26', 'Utah Jazz', '15-40', 20)]);
+    assert.deepEqual(
+      detectPayloadAnomalies(previous, next).map((anomaly) => [anomaly.type, anomaly.teamId]),
+      [
+        ['record-backwards', '27'],
+        ['games-played-dropped', '26'],
+      ]
+    );
+  });
+
+  it('matches teams across providers by nickname', () => {
+    const next = payload([row('1610612764', 'Wizards', '11-51', 20), row('1610612762', 'Jazz', '15-47', 20)]);
+    assert.deepEqual(
+      detectPayloadAnomalies(previous, next).map((anomaly) => anomaly.type),
+      ['record-backwards']
+    );
+  });
+
+  it('flags remaining games that drop faster than games are played', () => {
+    const next = payload([row('27', 'Washington Wizards', '12-51', 12), row('26', 'Utah Jazz', '15-47', 20)]);
+    const [anomaly] = detectPayloadAnomalies(previous, next);
+    assert.equal(anomaly.type, 'remaining-games-dropped');
+    assert.equal(anomaly.detail, 'Washington Wizards has 12 games remaining, down from 20 after 1 played.');
+  });
+
+  it('flags partial standings and a day that lost all of its games', () => {
+    const next = payload([row('27', 'Washington Wizards', '12-50', 20)], [{ dateEt: '2026-03-10', games: [] }]);
+    assert.deepEqual(
+      detectPayloadAnomalies(previous, next).map((anomaly) => anomaly.type),
+      ['rows-dropped', 'schedule-day-empty']
+    );
+  });
+
+  it('skips the checks when a new season starts', () => {
+    const next = { ...payload([row('27', 'Washington Wizards', '0-1', 81)]), season: 2027 };
+    assert.deepEqual(detectPayloadAnomalies({ ...previous, season: 2026 }, next), []);
+    assert.notDeepEqual(detectPayloadAnomalies({ ...previous, season: 2027 }, next), []);
+  });
+
+  it('dates a cached payload without a season by when it was built', () => {
+    const next = { ...payload([row('27', 'Washington Wizards', '0-1', 81)]), season: 2027 };
+    const league = { seasonStartMonth: 8 };
+    assert.deepEqual(detectPayloadAnomalies({ ...previous, league, generatedAt: '2026-06-20T12:00:00Z' }, next), []);
+    assert.notDeepEqual(detectPayloadAnomalies({ ...previous, league, generatedAt: '2026-10-20T12:00:00Z' }, next), []);
+  });
+});
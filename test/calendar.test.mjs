@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildCalendar, teamCalendarPath, teamCalendarSlug } from '../scripts/lib/calendar.mjs';
+
+const game = {
+  gameId: '401810533',
+  tipoffUtc: '2026-03-11T00:00:00.000Z',
+  home: { teamId: '26', team: 'Utah Jazz' },
+  away: { teamId: '27', team: 'Washington Wizards' },
+  label: 'Mar 10: at Utah Jazz',
+};
+
+describe('teamCalendarSlug', () => {
+  it('uses the nickname so ESPN and NBA CDN names share a feed', () => {
+    assert.equal(teamCalendarSlug('Portland Trail Blazers'), 'blazers');
+    assert.equal(teamCalendarSlug('Trail Blazers'), 'blazers');
+    assert.equal(teamCalendarSlug('Philadelphia 76ers'), '76ers');
+    assert.equal(teamCalendarPath('Utah Jazz'), 'calendar/teams/jazz.ics');
+    assert.equal(teamCalendarPath(''), null);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('writes one event per game with CRLF line endings', () => {
+    const ics = buildCalendar('Race 2 Tank: Utah Jazz', [game, { ...game, label: 'Mar 10: vs. Washington Wizards' }], '2026-03-10T15:00:00Z');
+    const lines = ics.split('\r\n');
+
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines.filter((line) => line === 'BEGIN:VEVENT').length, 1);
+    assert.ok(lines.includes('UID:401810533@race2tank.com'));
+    assert.ok(lines.includes('DTSTAMP:20260310T150000Z'));
+    assert.ok(lines.includes('DTSTART:20260311T000000Z'));
+    assert.ok(lines.includes('DTEND:20260311T023000Z'));
+    assert.ok(lines.includes('SUMMARY:Washington Wizards at Utah Jazz'));
+  });
+
+  it('escapes text and folds lines longer than 75 octets', () => {
+    const ics = buildCalendar(`Tank; games, ${'x'.repeat(100)}`, [], '2026-03-10T15:00:00Z');
+    const lines = ics.split('\r\n');
+    const nameIndex = lines.findIndex((line) => line.startsWith('X-WR-CALNAME:'));
+
+    assert.ok(lines[nameIndex].startsWith('X-WR-CALNAME:Tank\\; games\\, '));
+    assert.equal(lines[nameIndex].length, 75);
+    assert.ok(lines[nameIndex + 1].startsWith(' x'));
+    assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  });
+});
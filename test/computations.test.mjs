@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import {
+  applyLotteryOdds,
+  buildHeadToHead,
+  buildRows,
+  buildSeasonNotableTankGames,
+  buildSeasonSchedule,
+  buildUpcomingSchedule,
+  classifyLotteryStatus,
+  simulateRemainingSeason,
+} from '../scripts/lib/computations/index.mjs';
+import { normalizeEspnSchedule, normalizeEspnStandings } from '../scripts/lib/normalizers.mjs';
+import { runOptions } from '../scripts/lib/runtime.mjs';
+import { readFixture } from './helpers.mjs';
+
+const standings = normalizeEspnStandings(readFixture('espn-standings.json'));
+const games = normalizeEspnSchedule([readFixture('espn-team-schedule.json')]);
+
+afterEach(() => {
+  runOptions.now = null;
+});
+
+describe('buildRows', () => {
+  it('counts remaining games against the other tracked teams', () => {
+    runOptions.now = new Date('2026-03-10T15:00:00Z');
+    const rows = buildRows(standings.slice(0, 4), games, standings);
+    const wizards = rows[0];
+
+    assert.equal(wizards.rank, 1);
+    assert.equal(wizards.record, '12-50');
+    assert.equal(wizards.totalRemainingVsBottom12, 1);
+    assert.equal(wizards.opponentsText, 'Utah Jazz (1)');
+    assert.equal(rows[1].rankLabel, 'T-2');
+    assert.equal(rows[2].rankLabel, 'T-2');
+  });
+
+  it('lists each team\'s full remaining schedule with opponent records', () => {
+    runOptions.now = new Date('2026-03-10T15:00:00Z');
+    const [wizards, pistons] = buildRows(standings.slice(0, 2), games, standings);
+
+    assert.deepEqual(wizards.remainingSchedule, [
+      {
+        gameId: '401810533',
+        tipoffUtc: '2026-03-11T00:00:00.000Z',
+        home: false,
+        opponentTeamId: '26',
+        opponentTeam: 'Utah Jazz',
+        opponentRecord: '15-47',
+        opponentTracked: false,
+      },
+    ]);
+    assert.deepEqual(pistons.remainingSchedule, []);
+  });
+});
+
+describe('classifyLotteryStatus', () => {
+  it('splits conference seeds into bubble, play-in and locked', () => {
+    assert.equal(classifyLotteryStatus(6), 'bubble');
+    assert.equal(classifyLotteryStatus(7), 'play-in');
+    assert.equal(classifyLotteryStatus(10), 'play-in');
+    assert.equal(classifyLotteryStatus(11), 'locked');
+    assert.equal(classifyLotteryStatus(null), null);
+  });
+
+  it('is carried onto each row with the conference rank', () => {
+    runOptions.now = new Date('2026-03-10T15:00:00Z');
+    const rows = buildRows([{ ...standings[0], conferenceRank: 14 }, { ...standings[1], conferenceRank: 9 }], games, standings);
+
+    assert.deepEqual(
+      rows.map((row) => [row.conferenceRank, row.lotteryStatus]),
+      [
+        [14, 'locked'],
+        [9, 'play-in'],
+      ]
+    );
+  });
+});
+
+describe('buildHeadToHead', () => {
+  it('exports the symmetric remaining-games matrix in rank order with its games', () => {
+    runOptions.now = new Date('2026-03-10T15:00:00Z');
+    const headToHead = buildHeadToHead(standings.slice(0, 4), games);
+
+    assert.deepEqual(
+      headToHead.teams.map((team) => team.teamId),
+      ['27', '8', '26', '24']
+    );
+    assert.equal(headToHead.counts[0][2], 1);
+    assert.equal(headToHead.counts[2][0], 1);
+    assert.equal(headToHead.counts[0][1], 0);
+    assert.deepEqual(headToHead.games, [
+      { gameId: '401810533', tipoffUtc: '2026-03-11T00:00:00.000Z', homeTeamId: '26', awayTeamId: '27' },
+    ]);
+  });
+});
+
+describe('buildSeasonNotableTankGames', () => {
+  it('lists future games between bottom-nine teams from both sides', () => {
+    const byTeam = buildSeasonNotableTankGames(standings, games, new Date('2026-03-10T15:00:00Z'));
+    const game = {
+      gameId: '401810533',
+      tipoffUtc: '2026-03-11T00:00:00.000Z',
+      home: { teamId: '26', team: 'Utah Jazz' },
+      away: { teamId: '27', team: 'Washington Wizards' },
+    };
+    assert.deepEqual(byTeam.get('27'), [{ ...game, label: 'Mar 10: at Utah Jazz' }]);
+    assert.deepEqual(byTeam.get('26'), [{ ...game, label: 'Mar 10: vs. Washington Wizards' }]);
+    assert.deepEqual(byTeam.get('8'), []);
+  });
+});
+
+describe('buildUpcomingSchedule', () => {
+  it('groups Eastern days from yesterday through three days out', () => {
+    runOptions.now = new Date('2026-03-09T15:00:00Z');
+    const schedule = buildUpcomingSchedule(standings.slice(0, 4), games);
+
+    assert.equal(schedule.timeZone, 'America/New_York');
+    assert.deepEqual(
+      schedule.days.map((day) => day.dateEt),
+      ['2026-03-08', '2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12']
+    );
+    assert.deepEqual(schedule.days[2].games, [
+      {
+        gameId: '401810533',
+        matchup: 'Washington Wizards at Utah Jazz',
+        tipoffUtc: '2026-03-11T00:00:00.000Z',
+        trackedTeams: ['Washington Wizards', 'Utah Jazz'],
+        status: 'Tue, March 10th at 8:00 PM EDT',
+      },
+    ]);
+  });
+});
+
+describe('buildSeasonSchedule', () => {
+  it('lists every remaining tracked game by Eastern date and marks tank battles', () => {
+    const schedule = buildSeasonSchedule(standings.slice(0, 4), games, new Date('2026-03-09T15:00:00Z'));
+
+    assert.equal(schedule.timeZone, 'America/New_York');
+    assert.ok(schedule.days.every((day) => day.dateEt >= '2026-03-09' && day.games.length));
+    assert.deepEqual(
+      schedule.days.find((day) => day.dateEt === '2026-03-10').games,
+      [
+        {
+          gameId: '401810533',
+          matchup: 'Washington Wizards at Utah Jazz',
+          tipoffUtc: '2026-03-11T00:00:00.000Z',
+          trackedTeams: ['Washington Wizards', 'Utah Jazz'],
+          tankBattle: true,
+        },
+      ]
+    );
+  });
+
+  it('skips dates before today', () => {
+    const schedule = buildSeasonSchedule(standings.slice(0, 4), games, new Date('2026-03-12T15:00:00Z'));
+
+    assert.ok(schedule.days.every((day) => day.dateEt >= '2026-03-12'));
+    assert.equal(schedule.days.find((day) => day.dateEt === '2026-03-10'), undefined);
+  });
+});
+
+describe('applyLotteryOdds', () => {
+  it('matches the published odds for the top seed', () => {
+    const rows = applyLotteryOdds(Array.from({ length: 14 }, (_, index) => ({ rank: index + 1, tie: null })));
+
+    assert.equal(rows[0].lotteryOdds.firstPickPct, 14);
+    assert.equal(rows[0].lotteryOdds.lotteryPickPct, 52.1);
+    assert.equal(rows[13].lotteryOdds.firstPickPct, 0.5);
+  });
+
+  it('splits combinations evenly between tied teams', () => {
+    const tie = { method: 'coin-flip', rankStart: 4, rankEnd: 5, teams: [] };
+    const rows = applyLotteryOdds(
+      Array.from({ length: 14 }, (_, index) => ({ rank: index + 1, tie: index === 3 || index === 4 ? tie : null }))
+    );
+
+    assert.equal(rows[3].lotteryOdds.combinations, 115);
+    assert.deepEqual(rows[3].lotteryOdds, rows[4].lotteryOdds);
+  });
+});
+
+describe('simulateRemainingSeason', () => {
+  const now = new Date('2026-03-10T15:00:00Z');
+  const poolTeam = { teamId: '1', wins: 10, losses: 10, last10: '5-5' };
+  const opponent = { teamId: '2', wins: 18, losses: 2, last10: '9-1' };
+  const remainingGames = Array.from({ length: 10 }, (_, index) => ({
+    gameId: `g${index}`,
+    date: new Date(`2026-03-${String(index + 11).padStart(2, '0')}T23:00:00Z`),
+    homeTeamId: '1',
+    awayTeamId: '2',
+    isFinal: false,
+  }));
+  const options = { now, iterations: 500, slotCount: 1, standingsPoints: null };
+
+  it('gives the same projection for the same inputs', () => {
+    const first = simulateRemainingSeason([poolTeam], remainingGames, { ...options, allTeams: [poolTeam, opponent] });
+    const second = simulateRemainingSeason([poolTeam], remainingGames, { ...options, allTeams: [poolTeam, opponent] });
+
+    assert.deepEqual(first, second);
+  });
+
+  it('rates opponents outside the pool from the full standings', () => {
+    const withStandings = simulateRemainingSeason([poolTeam], remainingGames, {
+      ...options,
+      allTeams: [poolTeam, opponent],
+    });
+    const withoutStandings = simulateRemainingSeason([poolTeam], remainingGames, options);
+
+    assert.ok(withStandings.byTeam.get('1').winsMean < 12);
+    assert.ok(withoutStandings.byTeam.get('1').winsMean > 14);
+  });
+});
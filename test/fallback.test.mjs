@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const BUILD_SCRIPT = fileURLToPath(new URL('../scripts/build-data.mjs', import.meta.url));
+const FETCH_STUB = fileURLToPath(new URL('./fetch-stub.mjs', import.meta.url));
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race2tank-fallback-'));
+const outputPath = path.join(workDir, 'public', 'data', 'wnba', 'latest.json');
+
+function runBuild(cwd, env = {}) {
+  execFileSync(process.execPath, ['--import', FETCH_STUB, BUILD_SCRIPT, '--league', 'wnba'], {
+    cwd,
+    env: { ...process.env, ...env },
+    stdio: 'pipe',
+    timeout: 60000,
+  });
+}
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('build-data fallback', () => {
+  it('keeps a cached payload from before schemaVersion when upstream is down', () => {
+    const legacy = {
+      app: 'Race to the Tank',
+      generatedAt: '2025-09-01T12:00:00.000Z',
+      todaySchedule: { dateEt: '2025-09-01', games: [] },
+      rows: [{ rank: 1, team: 'Dallas Wings', record: '9-35', opponentsText: '' }],
+    };
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, `${JSON.stringify(legacy, null, 2)}\n`);
+
+    runBuild(workDir, { FETCH_STUB_DOWN: '1' });
+
+    const written = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    assert.equal(written.schemaVersion, undefined);
+    assert.deepEqual(written.rows, legacy.rows);
+    assert.equal(written.refreshStatus.source, 'cached');
+    assert.equal(written.refreshStatus.lastLiveGeneratedAt, legacy.generatedAt);
+  });
+
+  it('keeps a live payload live when a side output fails', () => {
+    const buildDir = path.join(workDir, 'side-outputs');
+    // A file where the calendars directory should go makes writeCalendars throw.
+    fs.mkdirSync(path.join(buildDir, 'public'), { recursive: true });
+    fs.writeFileSync(path.join(buildDir, 'public', 'calendar'), '');
+
+    runBuild(buildDir);
+
+    const written = JSON.parse(fs.readFileSync(path.join(buildDir, 'public', 'data', 'wnba', 'latest.json'), 'utf8'));
+    assert.equal(written.refreshStatus.source, 'live');
+    assert.ok(fs.existsSync(path.join(buildDir, 'public', 'data', 'wnba', 'feed.xml')));
+  });
+});
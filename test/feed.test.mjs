@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { describePayloadChanges } from '../scripts/lib/computations/index.mjs';
+import { buildAtomFeed, buildFeedEntry, feedEntryId } from '../scripts/lib/feed.mjs';
+
+function row(rank, team, streak) {
+  return { rank, rankLabel: String(rank), teamId: team.toLowerCase(), team, streak };
+}
+
+function payload(rows, { lastNight = null, games = [] } = {}) {
+  return {
+    generatedAt: '2026-03-11T12:00:00.000Z',
+    rows,
+    ...(lastNight ? { lastNight } : {}),
+    todaySchedule: { timeZone: 'America/New_York', days: [{ dateEt: '2026-03-11', games }] },
+  };
+}
+
+const finishedGame = {
+  gameId: 'g1',
+  winner: { team: 'Jazz', score: 110 },
+  loser: { team: 'Wizards', score: 101 },
+  tags: ['tank-battle', 'tracked-win'],
+};
+
+describe('describePayloadChanges', () => {
+  it('lists rank moves, streak changes, new finals and today\'s tank battles', () => {
+    const previous = payload([row(1, 'Wizards', 'L 3'), row(2, 'Jazz', 'L 1'), row(3, 'Hornets', 'W 1')]);
+    const next = payload([row(1, 'Wizards', 'L 4'), row(2, 'Hornets', 'W 1'), row(3, 'Jazz', 'W 1'), row(4, 'Nets', 'L 2')], {
+      lastNight: { games: [finishedGame] },
+      games: [{ matchup: 'Jazz at Wizards', trackedTeams: ['Jazz', 'Wizards'] }, { matchup: 'Nets at Celtics', trackedTeams: ['Nets'] }],
+    });
+
+    assert.deepEqual(describePayloadChanges(previous, next), {
+      changed: true,
+      rankChanges: ['Hornets moved from #3 to #2.', 'Jazz moved from #2 to #3.', 'Nets entered the race at #4.'],
+      streakChanges: ['Wizards: streak L 3 to L 4.', 'Jazz: streak L 1 to W 1.'],
+      finishedGames: ['Tank battle: Jazz 110, Wizards 101.'],
+      notableToday: ['Jazz at Wizards.'],
+    });
+  });
+
+  it('reports no change when only the schedule context is the same', () => {
+    const rows = [row(1, 'Wizards', 'L 3'), row(2, 'Jazz', 'L 1')];
+    const previous = payload(rows, { lastNight: { games: [finishedGame] } });
+    const next = payload(rows, { lastNight: { games: [finishedGame] }, games: [{ matchup: 'Jazz at Wizards', trackedTeams: ['Jazz', 'Wizards'] }] });
+
+    assert.equal(describePayloadChanges(previous, next).changed, false);
+  });
+
+  it('ignores tied teams trading places inside their tie', () => {
+    const tied = (rank, team) => ({ ...row(rank, team, null), rankLabel: 'T-10' });
+    const previous = payload([tied(10, 'Kings'), tied(11, 'Spurs')]);
+    const next = payload([tied(10, 'Spurs'), tied(11, 'Kings')]);
+
+    assert.deepEqual(describePayloadChanges(previous, next).rankChanges, []);
+  });
+});
+
+describe('Atom feed', () => {
+  it('builds stable entry IDs from generatedAt', () => {
+    assert.equal(feedEntryId('2026-03-11T12:00:00.000Z'), 'tag:race2tank.com,2026-03-11:refresh/2026-03-11T12:00:00.000Z');
+  });
+
+  it('titles entries by what changed and escapes content', () => {
+    const entry = buildFeedEntry(
+      { rankChanges: ['A & B moved.'], streakChanges: [], finishedGames: ['X 1, Y 0.', 'Z 2, W 1.'], notableToday: [] },
+      '2026-03-11T12:00:00.000Z'
+    );
+    assert.equal(entry.title, 'Tank race update: 1 rank change, 2 finals');
+
+    const xml = buildAtomFeed([entry]);
+    assert.match(xml, /<updated>2026-03-11T12:00:00.000Z<\/updated>/);
+    assert.match(xml, /<id>tag:race2tank.com,2026-03-11:refresh\/2026-03-11T12:00:00.000Z<\/id>/);
+    assert.match(xml, /&lt;li&gt;A &amp;amp; B moved.&lt;\/li&gt;/);
+  });
+});
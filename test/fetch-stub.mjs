@@ -0,0 +1,12 @@
+// Preloaded with --import by tests that run the build CLI. It answers ESPN
+// requests from the fixtures so a build can run offline. FETCH_STUB_DOWN=1
+// fails every request instead.
+import { readFixture } from './helpers.mjs';
+
+globalThis.fetch = async (url) => {
+  if (process.env.FETCH_STUB_DOWN) return new Response('Service unavailable', { status: 503 });
+  const text = String(url);
+  const fixture = text.includes('/standings') ? 'espn-standings.json' : text.includes('/schedule') ? 'espn-team-schedule.json' : null;
+  if (!fixture) return new Response('Not found', { status: 404 });
+  return Response.json(readFixture(fixture));
+};
@@ -0,0 +1,5 @@
+import fs from 'node:fs';
+
+export function readFixture(name) {
+  return JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+}
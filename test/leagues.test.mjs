@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { after, afterEach, describe, it } from 'node:test';
+import { teamCalendarPath } from '../scripts/lib/calendar.mjs';
+import {
+  applyLotteryOdds,
+  buildPayloadFromData,
+  classifyLotteryStatus,
+  computeLotteryPickDistribution,
+  rewindSeason,
+  seasonLabel,
+} from '../scripts/lib/computations/index.mjs';
+import { OUTPUT_PATH } from '../scripts/lib/config.mjs';
+import { LEAGUES, getLeague, leagueManifestEntry, leaguePaths } from '../scripts/lib/leagues.mjs';
+import { normalizeEspnSchedule, normalizeEspnStandings } from '../scripts/lib/normalizers.mjs';
+import { currentLeague, runOptions } from '../scripts/lib/runtime.mjs';
+import { assertValidPayload } from '../scripts/lib/schema.mjs';
+import { readFixture } from './helpers.mjs';
+
+afterEach(() => {
+  runOptions.league = 'nba';
+});
+
+after(() => {
+  runOptions.now = null;
+});
+
+describe('getLeague', () => {
+  it('looks leagues up by ID in any case', () => {
+    assert.equal(getLeague('NHL'), LEAGUES.nhl);
+    runOptions.league = 'wnba';
+    assert.equal(currentLeague().name, 'WNBA');
+  });
+
+  it('rejects a league it does not know', () => {
+    assert.throws(() => getLeague('mlb'), { code: 'UNKNOWN_LEAGUE' });
+  });
+});
+
+describe('leaguePaths', () => {
+  it('keeps the NBA at the original paths and puts other leagues in their own directory', () => {
+    assert.equal(leaguePaths(LEAGUES.nba).output, OUTPUT_PATH);
+    assert.equal(leaguePaths(LEAGUES.wnba).output, path.join(process.cwd(), 'public', 'data', 'wnba', 'latest.json'));
+    assert.deepEqual(leagueManifestEntry(LEAGUES.nhl), {
+      id: 'nhl',
+      name: 'NHL',
+      data: 'data/nhl/latest.json',
+      history: 'data/nhl/history/index.json',
+      seasons: 'data/nhl/seasons/index.json',
+      calendar: 'calendar/nhl/tank-games.ics',
+      feed: 'data/nhl/feed.xml',
+    });
+    assert.equal(teamCalendarPath('Utah Jazz', LEAGUES.nhl), 'calendar/nhl/teams/jazz.ics');
+  });
+});
+
+describe('computeLotteryPickDistribution with maxJump', () => {
+  const { combinations, drawCount, maxJump } = LEAGUES.nhl.lottery;
+  const distribution = computeLotteryPickDistribution(combinations, drawCount, { maxJump });
+
+  it('gives the worst team the picks that ineligible teams draw', () => {
+    const firstPickPcts = distribution.map((odds) => Math.round(odds[0] * 1000) / 10);
+    assert.equal(firstPickPcts[0], 25.5);
+    assert.deepEqual(firstPickPcts.slice(11), [0, 0, 0, 0, 0]);
+    assert.equal(distribution[11][1] > 0, true);
+    assert.equal(distribution[12][1], 0);
+  });
+
+  it('assigns every pick exactly once', () => {
+    for (let pick = 0; pick < combinations.length; pick += 1) {
+      const total = distribution.reduce((sum, odds) => sum + odds[pick], 0);
+      assert.ok(Math.abs(total - 1) < 1e-9);
+    }
+  });
+});
+
+describe('league lottery and playoff rules', () => {
+  it('draws every WNBA lottery pick', () => {
+    const rows = applyLotteryOdds(Array.from({ length: 4 }, (_, index) => ({ rank: index + 1, tie: null })), LEAGUES.wnba.lottery);
+    assert.deepEqual(
+      rows.map((row) => row.lotteryOdds.firstPickPct),
+      [44.2, 27.6, 16.7, 11.5]
+    );
+    assert.ok(rows.every((row) => row.lotteryOdds.lotteryPickPct === 100));
+  });
+
+  it('has no play-in status in leagues without one', () => {
+    assert.equal(classifyLotteryStatus(9, LEAGUES.nhl.playoffs), 'locked');
+    assert.equal(classifyLotteryStatus(8, LEAGUES.nhl.playoffs), 'bubble');
+    assert.equal(classifyLotteryStatus(9, LEAGUES.nba.playoffs), 'play-in');
+  });
+
+  it('labels calendar-year seasons by their year', () => {
+    assert.equal(seasonLabel(2025, LEAGUES.wnba), '2025');
+    assert.equal(seasonLabel(2025, LEAGUES.nhl), '2024-25');
+  });
+});
+
+describe('normalizeEspnStandings for hockey', () => {
+  const stat = (name, value) => ({ name, value });
+  const entry = (id, wins, losses, otLosses) => ({
+    team: { id, displayName: `Team ${id}` },
+    stats: [stat('wins', wins), stat('losses', losses), stat('OTLosses', otLosses)],
+  });
+
+  it('counts overtime losses as losses and keeps them for points', () => {
+    runOptions.league = 'nhl';
+    const [team] = normalizeEspnStandings({
+      children: [
+        {
+          abbreviation: 'East',
+          standings: {
+            entries: [
+              {
+                team: { id: '1', displayName: 'Boston Bruins' },
+                stats: [stat('wins', 20), stat('losses', 15), stat('OTLosses', 5), stat('winPercent', 0.571)],
+              },
+            ],
+          },
+        },
+      ],
+    });
+    assert.equal(team.losses, 20);
+    assert.equal(team.otLosses, 5);
+    assert.equal(team.winPct, 0.5);
+  });
+
+  it('orders the draft by points, then by games played', () => {
+    runOptions.league = 'nhl';
+    const standings = normalizeEspnStandings({
+      children: [{ abbreviation: 'East', standings: { entries: [entry('1', 20, 15, 10), entry('2', 21, 24, 0), entry('3', 25, 15, 0), entry('4', 25, 19, 0)] } }],
+    });
+
+    // Team 1 has the worst win % but 50 points to team 2's 42. Teams 1, 4 and 3
+    // are level on 50 points, and the more games played, the worse.
+    assert.deepEqual(
+      standings.map((team) => team.teamId),
+      ['2', '1', '4', '3']
+    );
+    assert.ok(standings.every((team) => team.tie === null));
+  });
+});
+
+describe('rewindSeason for hockey', () => {
+  it('counts losses after regulation as overtime losses', () => {
+    runOptions.league = 'nhl';
+    const game = (gameId, periods, homeScore) => ({
+      gameId,
+      homeTeamId: '1',
+      awayTeamId: '2',
+      date: new Date('2025-01-10T00:00:00Z'),
+      isFinal: true,
+      homeScore,
+      awayScore: 2,
+      periods,
+    });
+    const teams = [
+      { teamId: '1', teamName: 'Team 1', wins: 0, losses: 0, otLosses: 0 },
+      { teamId: '2', teamName: 'Team 2', wins: 0, losses: 0, otLosses: 0 },
+    ];
+    const { standings } = rewindSeason(teams, [game('a', 4, 3), game('b', 3, 1), game('c', 5, 1)], new Date('2025-02-01T00:00:00Z'));
+    const byId = new Map(standings.map((team) => [team.teamId, team]));
+
+    assert.deepEqual([byId.get('1').losses, byId.get('1').otLosses], [2, 1]);
+    assert.deepEqual([byId.get('2').losses, byId.get('2').otLosses], [1, 1]);
+  });
+});
+
+describe('buildPayloadFromData for another league', () => {
+  it('tracks the league-sized race and writes league-scoped calendar paths', async () => {
+    runOptions.league = 'wnba';
+    runOptions.now = new Date('2026-03-10T15:00:00Z');
+    const standings = normalizeEspnStandings(readFixture('espn-standings.json'));
+    const payload = buildPayloadFromData({
+      standings,
+      games: normalizeEspnSchedule([readFixture('espn-team-schedule.json')]),
+      simulationTeams: standings,
+      pickOwnership: null,
+      provider: 'espn',
+      dataSources: { standings: 'standings-url', schedule: 'schedule-url' },
+    });
+
+    assert.deepEqual(payload.league, { id: 'wnba', name: 'WNBA', trackedTeamCount: 4, notableTeamCount: 4, lotteryDrawCount: 4, playInSeeds: 0, seasonStartMonth: 1 });
+    assert.equal(payload.rows.length, 4);
+    assert.equal(payload.rows[0].calendarPath, 'calendar/wnba/teams/wizards.ics');
+    await assertValidPayload(payload);
+  });
+});
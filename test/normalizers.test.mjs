@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  normalizeEspnGame,
+  normalizeEspnSchedule,
+  normalizeEspnStandings,
+  normalizeGame,
+  normalizeLastTen,
+  normalizeSchedule,
+  normalizeStandings,
+  normalizeStreak,
+} from '../scripts/lib/normalizers.mjs';
+import { readFixture } from './helpers.mjs';
+
+describe('normalizeEspnStandings', () => {
+  const standings = normalizeEspnStandings(readFixture('espn-standings.json'));
+
+  it('flattens both conferences into draft order, worst first', () => {
+    assert.deepEqual(
+      standings.map((team) => team.teamName),
+      ['Washington Wizards', 'Detroit Pistons', 'Utah Jazz', 'San Antonio Spurs', 'Boston Celtics']
+    );
+  });
+
+  it('reads record, streak, last ten and conference from the stats list', () => {
+    assert.deepEqual(standings[0], {
+      teamId: '27',
+      teamName: 'Washington Wizards',
+      conference: 'East',
+      conferenceRank: 3,
+      wins: 12,
+      losses: 50,
+      winPct: 0.19354838,
+      streak: 'L4',
+      last10: '2-8',
+      tie: null,
+    });
+    assert.equal(standings[2].conference, 'West');
+  });
+
+  it('marks identical records as a coin-flip tie', () => {
+    const [detroit, utah] = standings.slice(1, 3);
+    assert.deepEqual(detroit.tie, utah.tie);
+    assert.deepEqual(detroit.tie, {
+      method: 'coin-flip',
+      rankStart: 2,
+      rankEnd: 3,
+      teams: [
+        { teamId: '8', team: 'Detroit Pistons' },
+        { teamId: '26', team: 'Utah Jazz' },
+      ],
+    });
+  });
+
+  it('seeds each conference by record when the feed has no playoff seed', () => {
+    const byName = new Map(standings.map((team) => [team.teamName, team.conferenceRank]));
+    assert.equal(byName.get('Boston Celtics'), 1);
+    assert.equal(byName.get('Detroit Pistons'), 2);
+    assert.equal(byName.get('San Antonio Spurs'), 1);
+    assert.equal(byName.get('Utah Jazz'), 2);
+  });
+
+  it('returns an empty list for an unexpected payload', () => {
+    assert.deepEqual(normalizeEspnStandings({}), []);
+    assert.deepEqual(normalizeEspnStandings(null), []);
+  });
+});
+
+describe('normalizeEspnSchedule', () => {
+  const payload = readFixture('espn-team-schedule.json');
+
+  it('keeps one game per event id across team payloads', () => {
+    const games = normalizeEspnSchedule([payload, payload]);
+    assert.deepEqual(
+      games.map((game) => game.gameId),
+      ['401810501', '401810533']
+    );
+  });
+
+  it('reads home and away sides, tipoff and final status', () => {
+    const [final, upcoming] = normalizeEspnSchedule([payload]);
+    assert.equal(final.homeTeamId, '27');
+    assert.equal(final.awayTeamName, 'Detroit Pistons');
+    assert.equal(final.isFinal, true);
+    assert.equal(final.date.toISOString(), '2026-03-08T23:00:00.000Z');
+    assert.equal(upcoming.isFinal, false);
+    assert.equal(upcoming.statusText, 'Tue, March 10th at 8:00 PM EDT');
+  });
+
+  it('keeps final scores and leaves them empty before tipoff', () => {
+    const [final, upcoming] = normalizeEspnSchedule([payload]);
+    assert.equal(final.homeScore, 104);
+    assert.equal(final.awayScore, 111);
+    assert.equal(upcoming.homeScore, null);
+    assert.equal(upcoming.awayScore, null);
+  });
+
+  it('skips events without two competitors', () => {
+    assert.equal(normalizeEspnGame(payload.events[2]), null);
+  });
+});
+
+describe('normalizeStandings (NBA CDN)', () => {
+  const standings = normalizeStandings(readFixture('nba-standings.json'));
+
+  it('orders teams worst first and breaks ties by name', () => {
+    assert.deepEqual(
+      standings.map((team) => team.teamTricode),
+      ['WAS', 'UTA', 'DET', 'SAS', 'BOS']
+    );
+    assert.equal(standings[1].tie.rankStart, 2);
+    assert.equal(standings[2].tie.rankEnd, 3);
+  });
+
+  it('derives streak and last ten from every field shape the feed uses', () => {
+    const byCode = new Map(standings.map((team) => [team.teamTricode, team]));
+    assert.equal(byCode.get('WAS').streak, 'L4');
+    assert.equal(byCode.get('DET').streak, 'W2');
+    assert.equal(byCode.get('DET').last10, '4-6');
+    assert.equal(byCode.get('UTA').streak, 'L1');
+  });
+
+  it('keeps the numeric team id as a string', () => {
+    assert.equal(standings[0].teamId, '1610612764');
+    assert.equal(standings[0].conference, 'East');
+  });
+
+  it('keeps the conference seed the feed publishes', () => {
+    const byCode = new Map(standings.map((team) => [team.teamTricode, team.conferenceRank]));
+    assert.equal(byCode.get('WAS'), 15);
+    assert.equal(byCode.get('SAS'), 13);
+    assert.equal(byCode.get('BOS'), 1);
+  });
+});
+
+describe('normalizeSchedule (NBA CDN)', () => {
+  const games = normalizeSchedule(readFixture('nba-schedule.json'));
+
+  it('collects games from every game date and drops duplicates', () => {
+    assert.deepEqual(
+      games.map((game) => game.gameId),
+      ['0022500921', '0022500945']
+    );
+  });
+
+  it('treats game status 3 as final', () => {
+    assert.equal(games[0].isFinal, true);
+    assert.equal(games[1].isFinal, false);
+    assert.equal(games[1].date.toISOString(), '2026-03-11T00:00:00.000Z');
+  });
+
+  it('keeps final scores but not the placeholder zeros of upcoming games', () => {
+    assert.deepEqual([games[0].homeScore, games[0].awayScore], [104, 111]);
+    assert.deepEqual([games[1].homeScore, games[1].awayScore], [null, null]);
+  });
+
+  it('returns null for a game without both teams', () => {
+    assert.equal(normalizeGame({ gameId: '1', homeTeam: { teamId: 1 } }), null);
+  });
+});
+
+describe('streak and last-ten helpers', () => {
+  it('normalizes streak text', () => {
+    assert.equal(normalizeStreak('w 3'), 'W3');
+    assert.equal(normalizeStreak('-'), null);
+  });
+
+  it('normalizes last-ten text', () => {
+    assert.equal(normalizeLastTen('3 - 7'), '3-7');
+    assert.equal(normalizeLastTen(''), null);
+  });
+});
@@ -0,0 +1,25 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildHistorySnapshot } from '../scripts/lib/output.mjs';
+
+describe('buildHistorySnapshot', () => {
+  it('keeps only the rank and record of each team', () => {
+    const payload = {
+      schemaVersion: 2,
+      generatedAt: '2026-03-10T15:00:00.000Z',
+      rows: [
+        { teamId: '27', team: 'Washington Wizards', rank: 1, rankLabel: '1', record: '12-50', projection: {} },
+        { teamId: '26', team: 'Utah Jazz', rank: 2, rankLabel: 'T-2', record: null, projection: {} },
+      ],
+    };
+
+    assert.deepEqual(buildHistorySnapshot(payload, '2026-03-10'), {
+      date: '2026-03-10',
+      generatedAt: '2026-03-10T15:00:00.000Z',
+      teams: [
+        { teamId: '27', rank: 1, rankLabel: '1', wins: 12, losses: 50 },
+        { teamId: '26', rank: 2, rankLabel: 'T-2', wins: null, losses: null },
+      ],
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { applyPickOwnership, validatePickOwnership } from '../scripts/lib/computations/pick-ownership.mjs';
+
+function row(rank, teamId, team, pickPcts = null) {
+  return { rank, teamId, team, lotteryOdds: pickPcts ? { pickPcts } : null };
+}
+
+const rows = [
+  row(1, '27', 'Washington Wizards', [14, 13.4, 12.7, 12, 47.9]),
+  row(2, '26', 'Utah Jazz', [14, 13.4, 12.7, 12]),
+  row(3, '7', 'Denver Nuggets'),
+  row(4, '2', 'Boston Celtics'),
+  row(5, '13', 'Los Angeles Lakers'),
+];
+
+function ownershipFor(rowsToCheck, { picks = [], swaps = [] }) {
+  const resolved = applyPickOwnership(rowsToCheck, validatePickOwnership({ version: 1, picks, swaps }));
+  return new Map(resolved.map((resolvedRow) => [resolvedRow.team, resolvedRow.pickOwnership]));
+}
+
+describe('applyPickOwnership', () => {
+  it('conveys a protected pick that lands outside its protection', () => {
+    const pick = ownershipFor(rows, {
+      picks: [{ team: 'Utah Jazz', owedTo: 'Boston Celtics', protection: { type: 'top', value: 1 } }],
+    }).get('Utah Jazz');
+
+    assert.equal(pick.protection.triggered, false);
+    assert.equal(pick.protection.keepPct, 14);
+    assert.equal(pick.conveysTo, 'Boston Celtics');
+    assert.equal(pick.summary, 'Pick owed to Boston Celtics (top-1 protected)');
+  });
+
+  it('keeps a protected pick that is likely to land inside its protection', () => {
+    const pick = ownershipFor(rows, {
+      picks: [{ team: 'Washington Wizards', owedTo: 'Boston Celtics', protection: { type: 'top', value: 4 } }],
+    }).get('Washington Wizards');
+
+    assert.equal(pick.protection.triggered, true);
+    assert.equal(pick.protection.keepPct, 52.1);
+    assert.equal(pick.conveysTo, 'Washington Wizards');
+  });
+
+  it('judges a protection by the projected finish rather than the current slot', () => {
+    const slotPcts = new Array(14).fill(0);
+    slotPcts[6] = 100;
+    const projectedSeventh = { ...row(1, '27', 'Washington Wizards', [14, 13.4, 12.7, 12, 47.9]), projection: { slotPcts } };
+    const pick = ownershipFor([projectedSeventh], {
+      picks: [{ team: 'Washington Wizards', owedTo: 'Boston Celtics', protection: { type: 'top', value: 4 } }],
+    }).get('Washington Wizards');
+
+    assert.equal(pick.protection.triggered, false);
+    assert.equal(pick.protection.keepPct, 32);
+    assert.equal(pick.conveysTo, 'Boston Celtics');
+  });
+
+  it('gives a swap holder the better of the two picks', () => {
+    const ownership = ownershipFor(rows, { swaps: [{ holder: 'Los Angeles Lakers', with: 'Denver Nuggets' }] });
+
+    assert.deepEqual(ownership.get('Los Angeles Lakers').swap, {
+      holder: 'Los Angeles Lakers',
+      with: 'Denver Nuggets',
+      executes: true,
+    });
+    assert.equal(ownership.get('Los Angeles Lakers').conveysTo, 'Denver Nuggets');
+    assert.equal(ownership.get('Denver Nuggets').conveysTo, 'Los Angeles Lakers');
+    assert.equal(ownership.get('Denver Nuggets').summary, 'Los Angeles Lakers can swap into this pick');
+  });
+
+  it('executes a swap held by a team outside the ranked rows', () => {
+    const ownership = ownershipFor(rows, { swaps: [{ holder: 'Milwaukee Bucks', with: 'Washington Wizards' }] });
+
+    assert.deepEqual(ownership.get('Washington Wizards').swap, {
+      holder: 'Milwaukee Bucks',
+      with: 'Washington Wizards',
+      executes: true,
+    });
+    assert.equal(ownership.get('Washington Wizards').conveysTo, 'Milwaukee Bucks');
+    assert.equal(ownership.get('Washington Wizards').summary, 'Milwaukee Bucks can swap into this pick');
+  });
+
+  it('leaves both picks in place when the holder already has the better one', () => {
+    const ownership = ownershipFor(rows, { swaps: [{ holder: 'Denver Nuggets', with: 'Los Angeles Lakers' }] });
+
+    assert.equal(ownership.get('Denver Nuggets').swap.executes, false);
+    assert.equal(ownership.get('Denver Nuggets').conveysTo, 'Denver Nuggets');
+    assert.equal(ownership.get('Los Angeles Lakers').conveysTo, 'Los Angeles Lakers');
+    assert.equal(ownership.get('Denver Nuggets').summary, 'Can swap with Los Angeles Lakers');
+  });
+
+  it('has no ownership for a team missing from the table', () => {
+    const ownership = ownershipFor(rows, { picks: [{ teamId: '26', team: 'Utah Jazz', owedTo: 'Boston Celtics' }] });
+
+    assert.equal(ownership.get('Boston Celtics'), null);
+    assert.equal(ownership.get('Utah Jazz').conveysTo, 'Boston Celtics');
+    assert.equal(ownership.get('Utah Jazz').protection, null);
+  });
+
+  it('matches a pick named by nickname on whole words only', () => {
+    const ownership = ownershipFor([...rows, row(6, '30', 'Charlotte Hornets')], {
+      picks: [{ team: 'Nets', owedTo: 'Houston Rockets' }],
+    });
+
+    assert.equal(ownership.get('Charlotte Hornets'), null);
+  });
+});
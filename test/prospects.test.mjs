@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { applyProspects, buildPayloadFromData, buildProspectBoard, likelyPickRange, validateProspects } from '../scripts/lib/computations/index.mjs';
+import { normalizeEspnSchedule, normalizeEspnStandings } from '../scripts/lib/normalizers.mjs';
+import { runOptions } from '../scripts/lib/runtime.mjs';
+import { assertValidPayload } from '../scripts/lib/schema.mjs';
+import { readFixture } from './helpers.mjs';
+
+const board = validateProspects({
+  version: 1,
+  draftYear: 2026,
+  updatedAt: null,
+  prospects: [
+    { rank: 2, name: 'Second Pick', position: 'G', school: 'Kansas' },
+    { rank: 1, name: 'First Pick', position: 'F', school: 'BYU' },
+    ...Array.from({ length: 6 }, (_, index) => ({ rank: index + 3, name: `Prospect ${index + 3}` })),
+  ],
+});
+
+// A team sure to finish in the given slot (0 = worst).
+function rowInSlot(slot, teamId) {
+  const slotPcts = new Array(14).fill(0);
+  slotPcts[slot] = 100;
+  return { teamId, team: `Team ${teamId}`, projection: { slotPcts } };
+}
+
+after(() => {
+  runOptions.now = null;
+});
+
+describe('validateProspects', () => {
+  it('orders the board by rank and fills in missing details', () => {
+    assert.deepEqual(board.prospects.slice(0, 3), [
+      { rank: 1, name: 'First Pick', position: 'F', school: 'BYU' },
+      { rank: 2, name: 'Second Pick', position: 'G', school: 'Kansas' },
+      { rank: 3, name: 'Prospect 3', position: null, school: null },
+    ]);
+  });
+
+  it('rejects a board that repeats a rank', () => {
+    assert.throws(
+      () => validateProspects({ version: 1, prospects: [{ rank: 1, name: 'A' }, { rank: 1, name: 'B' }] }),
+      /rank 1 is used more than once/
+    );
+  });
+});
+
+describe('likelyPickRange', () => {
+  it('trims the unlikely picks off both ends', () => {
+    assert.deepEqual(likelyPickRange([5, 20, 50, 20, 5]), { from: 2, to: 4 });
+  });
+
+  it('runs to the last pick when the team may leave the race', () => {
+    assert.deepEqual(likelyPickRange([0, 0, 30, 30]), { from: 3, to: 4 });
+    assert.equal(likelyPickRange([0, 5, 5]), null);
+  });
+});
+
+describe('applyProspects', () => {
+  it('names the players ranked inside the projected pick range', () => {
+    const [worst, seventh] = applyProspects([rowInSlot(0, '1'), rowInSlot(6, '2')], board);
+
+    assert.deepEqual(worst.prospects.pickRange, { from: 1, to: 5 });
+    assert.deepEqual(
+      worst.prospects.players.map((player) => player.rank),
+      [1, 2, 3, 4, 5]
+    );
+    assert.equal(seventh.prospects.players[0].rank, 2);
+    assert.deepEqual(applyProspects([rowInSlot(0, '1')], null)[0].prospects, null);
+  });
+});
+
+describe('buildProspectBoard', () => {
+  it('lists the teams likeliest to hold each player\'s pick', () => {
+    const prospectBoard = buildProspectBoard([rowInSlot(6, '2'), rowInSlot(0, '1')], board);
+    const [first, , , , fifth] = prospectBoard.prospects;
+
+    assert.equal(prospectBoard.draftYear, 2026);
+    assert.deepEqual(first.teams, [
+      { teamId: '1', team: 'Team 1', pct: 14 },
+      { teamId: '2', team: 'Team 2', pct: 7.5 },
+    ]);
+    assert.deepEqual(fifth.teams, [{ teamId: '1', team: 'Team 1', pct: 47.9 }]);
+  });
+
+  it('adds the board to a valid payload', async () => {
+    runOptions.now = new Date('2026-03-10T15:00:00Z');
+    const standings = normalizeEspnStandings(readFixture('espn-standings.json'));
+    const payload = buildPayloadFromData({
+      standings,
+      games: normalizeEspnSchedule([readFixture('espn-team-schedule.json')]),
+      simulationTeams: standings,
+      pickOwnership: null,
+      prospects: board,
+      provider: 'espn',
+      dataSources: { standings: 'standings-url', schedule: 'schedule-url' },
+    });
+
+    assert.equal(payload.prospectBoard.prospects.length, 8);
+    assert.ok(payload.rows.some((row) => row.prospects?.players.length));
+    await assertValidPayload(payload);
+  });
+});
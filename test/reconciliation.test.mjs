@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { reconcileProviders, resolveValue } from '../scripts/lib/computations/reconciliation.mjs';
+import {
+  normalizeEspnSchedule,
+  normalizeEspnStandings,
+  normalizeSchedule,
+  normalizeStandings,
+} from '../scripts/lib/normalizers.mjs';
+import { teamNamesMatch } from '../scripts/lib/utils.mjs';
+import { readFixture } from './helpers.mjs';
+
+const now = new Date('2026-03-10T15:00:00Z');
+
+function espnSource() {
+  const standings = normalizeEspnStandings(readFixture('espn-standings.json'));
+  return {
+    provider: 'espn',
+    standings,
+    games: normalizeEspnSchedule([readFixture('espn-team-schedule.json')]),
+    simulationTeams: standings,
+    scheduleTeamIds: new Set(['27']),
+  };
+}
+
+function nbaSource(adjust = (standings) => standings) {
+  const standings = adjust(normalizeStandings(readFixture('nba-standings.json')));
+  return {
+    provider: 'nba',
+    standings,
+    games: normalizeSchedule(readFixture('nba-schedule.json')),
+    simulationTeams: standings,
+    scheduleTeamIds: new Set(standings.map((team) => team.teamId)),
+  };
+}
+
+describe('teamNamesMatch', () => {
+  it('matches a nickname against the full name on whole words only', () => {
+    assert.equal(teamNamesMatch('Utah Jazz', 'Jazz'), true);
+    assert.equal(teamNamesMatch('Trail Blazers', 'Portland Trail Blazers'), true);
+    assert.equal(teamNamesMatch('Charlotte Hornets', 'Nets'), false);
+    assert.equal(teamNamesMatch('Hornets', 'Nets'), false);
+    assert.equal(teamNamesMatch('', 'Nets'), false);
+  });
+});
+
+describe('resolveValue', () => {
+  it('takes a strict majority first', () => {
+    const result = resolveValue([
+      { source: 'espn', value: 12, freshness: 62 },
+      { source: 'nba', value: 13, freshness: 63 },
+      { source: 'other', value: 12, freshness: 62 },
+    ]);
+    assert.deepEqual(result, { value: 12, source: 'espn', method: 'majority' });
+  });
+
+  it('falls back to the source with more games played, then to the league feed', () => {
+    assert.deepEqual(
+      resolveValue([
+        { source: 'espn', value: 47, freshness: 62 },
+        { source: 'nba', value: 48, freshness: 63 },
+      ]),
+      { value: 48, source: 'nba', method: 'freshness' }
+    );
+    assert.deepEqual(
+      resolveValue([
+        { source: 'espn', value: 12, freshness: 62 },
+        { source: 'nba', value: 13, freshness: 62 },
+      ]),
+      { value: 13, source: 'nba', method: 'priority' }
+    );
+  });
+});
+
+describe('reconcileProviders', () => {
+  it('matches ESPN and NBA CDN teams by name and reports no discrepancies when they agree', () => {
+    const merged = reconcileProviders([espnSource(), nbaSource()], now);
+    assert.equal(merged.report.teamsMatched, 5);
+    assert.equal(merged.report.unmatchedTeams, 0);
+    assert.deepEqual(merged.report.discrepancies, []);
+  });
+
+  it('keeps ESPN IDs and takes the fresher record when ESPN lags', () => {
+    const lagging = nbaSource((standings) =>
+      standings.map((team) => (team.teamTricode === 'WAS' ? { ...team, losses: team.losses + 1 } : team))
+    );
+    const merged = reconcileProviders([espnSource(), lagging], now);
+    const wizards = merged.standings.find((team) => team.teamId === '27');
+
+    assert.equal(wizards.losses, 51);
+    assert.deepEqual(merged.report.discrepancies, [
+      {
+        teamId: '27',
+        team: 'Washington Wizards',
+        field: 'losses',
+        values: { espn: 50, nba: 51 },
+        chosen: 51,
+        chosenSource: 'nba',
+        method: 'freshness',
+      },
+    ]);
+  });
+
+  it('re-keys the NBA CDN schedule to ESPN team IDs when it is the schedule source', () => {
+    const merged = reconcileProviders([espnSource(), nbaSource()], now);
+    assert.equal(merged.scheduleSource, 'nba');
+    const upcoming = merged.games.find((game) => !game.isFinal);
+    assert.equal(upcoming.homeTeamId, '26');
+    assert.equal(upcoming.awayTeamName, 'Washington Wizards');
+  });
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+const BUILD_SCRIPT = fileURLToPath(new URL('../scripts/build-data.mjs', import.meta.url));
+const FETCH_STUB = fileURLToPath(new URL('./fetch-stub.mjs', import.meta.url));
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'race2tank-replay-'));
+const recordingDir = path.join(workDir, 'recording');
+
+function runBuild(args, nodeArgs = []) {
+  execFileSync(process.execPath, [...nodeArgs, BUILD_SCRIPT, '--league', 'wnba', ...args], {
+    cwd: workDir,
+    stdio: 'pipe',
+    timeout: 60000,
+  });
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { recursive: true }).sort();
+}
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('build-data --replay', () => {
+  it('rebuilds the recorded payload without touching the site data', () => {
+    runBuild(['--record', recordingDir, '--now', '2026-03-10T15:00:00Z'], ['--import', FETCH_STUB]);
+
+    // A later cache: a replay must not trip the anomaly guard against it or overwrite it.
+    const outputPath = path.join(workDir, 'public', 'data', 'wnba', 'latest.json');
+    const cached = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    cached.rows[0].record = '40-2';
+    fs.writeFileSync(outputPath, `${JSON.stringify(cached, null, 2)}\n`);
+    const cachedText = fs.readFileSync(outputPath, 'utf8');
+    const siteFiles = listFiles(path.join(workDir, 'public'));
+
+    runBuild(['--replay', recordingDir]);
+
+    assert.equal(
+      fs.readFileSync(path.join(recordingDir, 'replay', 'latest.json'), 'utf8'),
+      fs.readFileSync(path.join(recordingDir, 'latest.json'), 'utf8')
+    );
+    assert.equal(fs.readFileSync(outputPath, 'utf8'), cachedText);
+    assert.deepEqual(listFiles(path.join(workDir, 'public')), siteFiles);
+  });
+});
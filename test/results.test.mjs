@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { buildLastNightResults } from '../scripts/lib/computations/index.mjs';
+import { runOptions } from '../scripts/lib/runtime.mjs';
+
+const standings = [
+  { teamId: 'b', teamName: 'Bravo', wins: 12, losses: 39 },
+  { teamId: 'a', teamName: 'Alpha', wins: 12, losses: 38 },
+  ...Array.from({ length: 8 }, (_, index) => ({ teamId: `f${index}`, teamName: `Filler ${index}`, wins: 20, losses: 30 })),
+  { teamId: 'c', teamName: 'Charlie', wins: 30, losses: 20 },
+];
+
+function game(gameId, date, home, away, { isFinal = true, periods = null } = {}) {
+  return {
+    gameId,
+    date: new Date(date),
+    isFinal,
+    homeTeamId: home[0],
+    homeTeamName: null,
+    homeScore: isFinal ? home[1] : null,
+    awayTeamId: away[0],
+    awayTeamName: null,
+    awayScore: isFinal ? away[1] : null,
+    periods,
+  };
+}
+
+describe('buildLastNightResults', () => {
+  const now = new Date('2026-03-11T12:00:00Z');
+
+  afterEach(() => {
+    runOptions.league = 'nba';
+  });
+
+  it('keeps finals from the last day and shows how each side moved', () => {
+    const games = [
+      game('g1', '2026-03-11T00:00:00Z', ['c', 101], ['a', 110]),
+      game('g2', '2026-03-09T00:00:00Z', ['b', 99], ['c', 120]),
+      game('g3', '2026-03-11T23:30:00Z', ['b', 0], ['c', 0], { isFinal: false }),
+    ];
+    const lastNight = buildLastNightResults(standings, games, now);
+
+    assert.equal(lastNight.since, '2026-03-10T12:00:00.000Z');
+    assert.deepEqual(
+      lastNight.games.map((result) => result.gameId),
+      ['g1']
+    );
+
+    const [result] = lastNight.games;
+    assert.equal(result.matchup, 'Alpha at Charlie');
+    assert.deepEqual(result.winner, { teamId: 'a', team: 'Alpha', score: 110, tracked: true, rankBefore: 1, rankAfter: 2 });
+    assert.equal(result.loser.score, 101);
+    assert.deepEqual(result.tags, ['tracked-win']);
+  });
+
+  it('marks games between two teams in the notable range as tank battles', () => {
+    const games = [game('g4', '2026-03-11T01:00:00Z', ['a', 95], ['b', 90])];
+    const [result] = buildLastNightResults(standings, games, now).games;
+
+    assert.deepEqual(result.tags, ['tank-battle', 'tracked-win']);
+    assert.equal(result.loser.teamId, 'b');
+  });
+
+  it('takes back the overtime loss when ranking hockey teams before the game', () => {
+    runOptions.league = 'nhl';
+    const hockeyStandings = [
+      { teamId: 'x', teamName: 'Xray', wins: 10, losses: 20, otLosses: 5 },
+      { teamId: 'y', teamName: 'Yankee', wins: 12, losses: 17, otLosses: 2 },
+      { teamId: 'z', teamName: 'Zulu', wins: 20, losses: 10, otLosses: 1 },
+    ];
+    const games = [game('g5', '2026-03-11T01:00:00Z', ['x', 3], ['y', 4], { periods: 4 })];
+    const [result] = buildLastNightResults(hockeyStandings, games, now).games;
+
+    assert.equal(result.loser.teamId, 'x');
+    assert.equal(result.loser.rankBefore, 1);
+    assert.equal(result.loser.rankAfter, 1);
+    assert.equal(result.winner.rankBefore, 2);
+  });
+});
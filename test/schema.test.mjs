@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { after, describe, it } from 'node:test';
+import { buildPayloadFromData } from '../scripts/lib/computations/index.mjs';
+import { normalizeEspnSchedule, normalizeEspnStandings } from '../scripts/lib/normalizers.mjs';
+import { runOptions } from '../scripts/lib/runtime.mjs';
+import { assertValidPayload, readPayloadSchema, validateAgainstSchema } from '../scripts/lib/schema.mjs';
+import { readFixture } from './helpers.mjs';
+
+function buildFixturePayload() {
+  runOptions.now = new Date('2026-03-10T15:00:00Z');
+  const standings = normalizeEspnStandings(readFixture('espn-standings.json'));
+  return buildPayloadFromData({
+    standings,
+    games: normalizeEspnSchedule([readFixture('espn-team-schedule.json')]),
+    simulationTeams: standings,
+    pickOwnership: null,
+    provider: 'espn',
+    dataSources: { standings: 'standings-url', schedule: 'schedule-url' },
+  });
+}
+
+after(() => {
+  runOptions.now = null;
+});
+
+describe('latest.schema.json', () => {
+  it('accepts a payload built from the fixtures', async () => {
+    const payload = buildFixturePayload();
+    assert.equal(payload.schemaVersion, 3);
+    assert.deepEqual(validateAgainstSchema(payload, await readPayloadSchema()), []);
+  });
+
+  it('lists every field that does not match', async () => {
+    const payload = buildFixturePayload();
+    delete payload.rows[0].team;
+    payload.rows[1].winPct = '.242';
+    payload.rows[2].surprise = true;
+
+    assert.deepEqual(validateAgainstSchema(payload, await readPayloadSchema()), [
+      '/rows/0/team is required',
+      '/rows/1/winPct must be number, got string',
+      '/rows/2/surprise is not allowed',
+    ]);
+  });
+
+  it('rejects a payload without the current schema version', async () => {
+    const payload = buildFixturePayload();
+    delete payload.schemaVersion;
+
+    await assert.rejects(assertValidPayload(payload), { code: 'SCHEMA_INVALID', message: /\/schemaVersion is required/ });
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildSeasonSummary, rewindSeason, seasonLabel } from '../scripts/lib/computations/index.mjs';
+
+const standings = [
+  { teamId: 'a', teamName: 'Alpha', conference: 'East', conferenceRank: 1, wins: 3, losses: 0, winPct: 1, streak: 'W3', last10: '3-0' },
+  { teamId: 'b', teamName: 'Bravo', conference: 'East', conferenceRank: 2, wins: 1, losses: 2, winPct: 0.333, streak: 'W1', last10: '1-2' },
+  { teamId: 'c', teamName: 'Charlie', conference: 'West', conferenceRank: 1, wins: 0, losses: 2, winPct: 0, streak: 'L2', last10: '0-2' },
+];
+
+function game(gameId, date, home, away) {
+  return {
+    gameId,
+    date: new Date(date),
+    isFinal: true,
+    statusText: 'Final',
+    homeTeamId: home[0],
+    homeTeamName: null,
+    homeScore: home[1],
+    awayTeamId: away[0],
+    awayTeamName: null,
+    awayScore: away[1],
+  };
+}
+
+const games = [
+  game('g1', '2025-01-01T00:00:00Z', ['a', 100], ['b', 90]),
+  game('g2', '2025-01-03T00:00:00Z', ['c', 95], ['a', 101]),
+  game('g3', '2025-01-05T00:00:00Z', ['b', 110], ['c', 100]),
+  game('g4', '2025-01-07T00:00:00Z', ['b', 80], ['a', 99]),
+];
+
+describe('seasonLabel', () => {
+  it('names a season by the years it spans', () => {
+    assert.equal(seasonLabel(2025), '2024-25');
+    assert.equal(seasonLabel(2000), '1999-00');
+  });
+});
+
+describe('rewindSeason', () => {
+  it('rebuilds records from the finals before the date and reopens later games', () => {
+    const rewound = rewindSeason(standings, games, new Date('2025-01-06T00:00:00Z'));
+
+    assert.deepEqual(
+      rewound.standings.map((team) => [team.teamName, team.wins, team.losses, team.streak, team.last10, team.conferenceRank]),
+      [
+        ['Charlie', 0, 2, 'L2', '0-2', 1],
+        ['Bravo', 1, 1, 'W1', '1-1', 2],
+        ['Alpha', 2, 0, 'W2', '2-0', 1],
+      ]
+    );
+
+    const reopened = rewound.games.find((item) => item.gameId === 'g4');
+    assert.equal(reopened.isFinal, false);
+    assert.equal(reopened.homeScore, null);
+    assert.equal(rewound.games.find((item) => item.gameId === 'g3').isFinal, true);
+  });
+});
+
+describe('buildSeasonSummary', () => {
+  it('stores each team\'s results in order up to the date', () => {
+    const summary = buildSeasonSummary(2025, standings, games, new Date('2025-01-06T00:00:00Z'));
+
+    assert.equal(summary.label, '2024-25');
+    assert.equal(summary.asOf, '2025-01-06T00:00:00.000Z');
+    assert.deepEqual(
+      summary.teams.map((team) => [team.team, team.results]),
+      [
+        ['Alpha', 'WW'],
+        ['Bravo', 'LW'],
+        ['Charlie', 'LL'],
+      ]
+    );
+  });
+});